@@ -3,7 +3,7 @@
  * Uses SQLite polling + AppleScript sending + proper dispatch system
  * 
  * Features:
- * - Text messages (send/receive)
+ * - Text messages (send/receive), including attributedBody-only rows
  * - Tapbacks/Reactions (receive)
  * - Attachments (images, audio, video processed via OpenClaw media pipeline)
  * - Reply threading (detect quoted replies)
@@ -13,21 +13,79 @@
  */
 
 import Database from "better-sqlite3";
-import { exec } from "child_process";
-import { promisify } from "util";
 import * as fs from "fs";
 import * as path from "path";
 import * as os from "os";
+import { decodeAttributedBody, visibleText } from "./src/typedstream.js";
+import { resolveRoute, DM_SCOPES } from "./src/routing.js";
+import { resolveGroupConfig, checkGroupTrigger, createGroupHistory, formatGroupHistory, GROUP_POLICIES } from "./src/groups.js";
+import { createJsonWriter, readJson } from "./src/state.js";
+import { createInboundQueue } from "./src/inbound-queue.js";
+import { appleTimestampToMs, enqueueWithCatchUp, formatCatchUpSummary, catchUpNote, CATCH_UP_MODES } from "./src/catchup.js";
+import { watchChatDb, nextPollDelay, INGEST_MODES } from "./src/db-watcher.js";
+import { createMediaCache, isRemoteMedia, sweepDir, formatSize } from "./src/media.js";
+import { createAttachmentPipeline, isAttachmentReady } from "./src/attachments.js";
+import { parseBalloon, readVCardAttachment, isVCardAttachment, formatRichContent } from "./src/balloons.js";
+import { parseGroupEvent, formatGroupEvent, groupLabel, createGroupDirectory } from "./src/group-events.js";
+import { createPairingStore, parsePairingCommand, DM_POLICIES } from "./src/pairing.js";
+import { createControlStore, parseControlCommand, formatDuration, configuredOwners } from "./src/control.js";
+import { createOutboundQueue } from "./src/outbound-queue.js";
+import { createReceiptTracker } from "./src/receipts.js";
+import { createTransport } from "./src/transports.js";
+import { inspectSchema, describeFeatures, buildMessageSelect, buildReplyContextQuery, buildAttachmentQuery } from "./src/schema.js";
+import { describeChange, formatChange } from "./src/edits.js";
+import { parseReaction, formatReaction } from "./src/reactions.js";
+import { backfillEnabled, selectBackfillRows, formatBackfill } from "./src/backfill.js";
+import { createContactsIndex } from "./src/contacts.js";
+import { normalizeHandle, createHandleResolver, isSupportedCountry, DEFAULT_COUNTRY } from "./src/handles.js";
+import { listAccountIds, resolveAccount, defaultAccountId, DEFAULT_ACCOUNT_ID } from "./src/config.js";
+import { parseTarget } from "./src/applescript.js";
 
-const execAsync = promisify(exec);
 let pluginRuntime = null;
 
-// Active instance tracking via filesystem - survives hot reloads
-const ACTIVE_INSTANCE_FILE = path.join(os.homedir(), ".openclaw/imessage-active-instance");
+// One per account, shared by outbound.* and the reply dispatcher so the
+// account's rate limits apply to every send it makes
+const outboundQueues = new Map();
+
+/**
+ * The outbound queue for an account, configured from its settings
+ */
+function outboundQueueFor(accountId, config, log) {
+  let queue = outboundQueues.get(accountId);
+  if (!queue) {
+    queue = createOutboundQueue();
+    outboundQueues.set(accountId, queue);
+  }
+  queue.configure({
+    maxAttempts: config.sendMaxAttempts,
+    retryBaseMs: config.sendRetryBaseMs,
+    minIntervalMs: config.sendIntervalMs,
+    perRecipientIntervalMs: config.sendPerChatIntervalMs,
+    log
+  });
+  return queue;
+}
+
+// Column layout per open chat.db handle, read once
+const schemas = new WeakMap();
+
+function schemaOf(db) {
+  let schema = schemas.get(db);
+  if (!schema) {
+    schema = inspectSchema(db);
+    schemas.set(db, schema);
+  }
+  return schema;
+}
 
-function claimActiveInstance(instanceId, log) {
+// Per-account send state for running gateways: { transport, outbound, receiptTracker, paths }
+const accountRuntimes = new Map();
+
+// Active instance tracking via filesystem - survives hot reloads
+function claimActiveInstance(instanceFile, instanceId, log) {
   try {
-    fs.writeFileSync(ACTIVE_INSTANCE_FILE, instanceId, "utf8");
+    fs.mkdirSync(path.dirname(instanceFile), { recursive: true });
+    fs.writeFileSync(instanceFile, instanceId, "utf8");
     log?.info?.(`[iMessage][${instanceId}] Claimed active instance`);
     return true;
   } catch (e) {
@@ -36,120 +94,74 @@ function claimActiveInstance(instanceId, log) {
   }
 }
 
-function isActiveInstance(instanceId) {
+function isActiveInstance(instanceFile, instanceId) {
   try {
-    const active = fs.readFileSync(ACTIVE_INSTANCE_FILE, "utf8").trim();
+    const active = fs.readFileSync(instanceFile, "utf8").trim();
     return active === instanceId;
   } catch {
     return false;
   }
 }
 
-// Tapback type mapping (associated_message_type in chat.db)
-const TAPBACK_TYPES = {
-  2000: "❤️",  // Love
-  2001: "👍",  // Like  
-  2002: "👎",  // Dislike
-  2003: "😂",  // Laugh
-  2004: "‼️",  // Emphasis
-  2005: "❓",  // Question
-  // 3000-3005 = remove tapback
-};
+// Edits and unsends are looked for among this many most recent rows
+const CHANGE_WINDOW_ROWS = 1000;
+// How often expired downloads and conversions are removed from the caches
+const MEDIA_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// How often a message waiting for its attachments to download is re-checked
+const ATTACHMENT_RECHECK_MS = 2000;
 
-// Contact name cache
-let contactsDb = null;
-let contactCache = new Map();
-
-function normalizePhone(phone) {
-  if (!phone) return null;
-  let n = phone.replace(/[^\d+]/g, "");
-  if (n.startsWith("+")) return n;
-  if (n.length === 10) return "+1" + n;
-  if (n.length === 11 && n.startsWith("1")) return "+" + n;
-  return "+" + n;
-}
-
-function isAllowed(sender, allowFrom) {
-  if (!sender || allowFrom.length === 0) return false;
-  if (allowFrom.includes("*")) return true;
-  const ns = normalizePhone(sender);
-  for (const a of allowFrom) {
-    if (a === sender || (ns && normalizePhone(a) === ns)) return true;
-  }
-  return false;
+function isGroupMessage(msg) {
+  return msg.style === 43 || Boolean(msg.chat_identifier?.startsWith("chat"));
 }
 
 /**
- * Resolve phone number to contact name using AddressBook database
+ * Resolve what a message row says. `text` is NULL on many newer rows, so fall
+ * back to the archived attributedBody and keep its mentions/links around.
  */
-function resolveContactName(phone, log) {
-  if (!phone) return null;
-  
-  const normalized = normalizePhone(phone);
-  if (contactCache.has(normalized)) {
-    return contactCache.get(normalized);
-  }
-  
-  if (!contactsDb) {
+function resolveMessageContent(row, log) {
+  let decoded = null;
+  if (row.attributedBody) {
     try {
-      const sourcesDir = path.join(os.homedir(), "Library/Application Support/AddressBook/Sources");
-      if (fs.existsSync(sourcesDir)) {
-        const sources = fs.readdirSync(sourcesDir);
-        for (const source of sources) {
-          const dbPath = path.join(sourcesDir, source, "AddressBook-v22.abcddb");
-          if (fs.existsSync(dbPath)) {
-            contactsDb = new Database(dbPath, { readonly: true });
-            break;
-          }
-        }
-      }
+      decoded = decodeAttributedBody(row.attributedBody);
     } catch (e) {
-      log?.debug?.(`[iMessage] Cannot open contacts DB: ${e.message}`);
+      log?.debug?.(`[iMessage] attributedBody decode error: ${e.message}`);
     }
   }
-  
-  if (!contactsDb) return null;
-  
-  try {
-    const digits = phone.replace(/\D/g, "").slice(-7);
-    const result = contactsDb.prepare(`
-      SELECT r.ZFIRSTNAME, r.ZLASTNAME, r.ZORGANIZATION
-      FROM ZABCDPHONENUMBER p
-      JOIN ZABCDRECORD r ON p.ZOWNER = r.Z_PK
-      WHERE p.ZFULLNUMBER LIKE ?
-      LIMIT 1
-    `).get(`%${digits}`);
-    
-    if (result) {
-      const name = [result.ZFIRSTNAME, result.ZLASTNAME].filter(Boolean).join(" ") || result.ZORGANIZATION;
-      if (name) {
-        contactCache.set(normalized, name);
-        return name;
-      }
-    }
-  } catch (e) {
-    log?.debug?.(`[iMessage] Contact lookup error: ${e.message}`);
-  }
-  
-  return null;
+  const raw = row.text ?? decoded?.text ?? "";
+  return {
+    raw,
+    text: visibleText(raw),
+    mentions: decoded?.mentions ?? [],
+    links: decoded?.links ?? [],
+    attachments: decoded?.attachments ?? []
+  };
+}
+
+/**
+ * Body text with link targets spelled out when the visible text hides them
+ */
+function formatBodyText(content) {
+  const hidden = content.links
+    .map(l => l.url)
+    .filter(url => url && !content.text.includes(url));
+  if (hidden.length === 0) return content.text;
+  return [content.text, ...hidden.map(url => `[Link: ${url}]`)].filter(Boolean).join("\n");
 }
 
 /**
- * Get attachment info for a message - returns paths and mime types for OpenClaw media pipeline
+ * Get attachment info for a message - returns paths and mime types for OpenClaw media pipeline.
+ * `ready` is false while the file is still downloading (typically from iCloud).
  */
-function getAttachments(db, messageRowId, log) {
+function getAttachments(db, messageRowId, log, homeDir = os.homedir()) {
   try {
-    const attachments = db.prepare(`
-      SELECT a.filename, a.mime_type, a.total_bytes, a.transfer_name, a.uti
-      FROM attachment a
-      JOIN message_attachment_join maj ON a.ROWID = maj.attachment_id
-      WHERE maj.message_id = ?
-    `).all(messageRowId);
+    const query = buildAttachmentQuery(schemaOf(db));
+    if (!query) return [];
+    const attachments = db.prepare(query).all(messageRowId);
     
     return attachments.map(att => {
       let filepath = att.filename;
       if (filepath?.startsWith("~/")) {
-        filepath = path.join(os.homedir(), filepath.slice(2));
+        filepath = path.join(homeDir, filepath.slice(2));
       }
       
       const mimeType = att.mime_type || guessMimeType(att.uti, filepath);
@@ -158,9 +170,10 @@ function getAttachments(db, messageRowId, log) {
         path: filepath,
         mimeType: mimeType,
         size: att.total_bytes,
-        name: att.transfer_name || path.basename(filepath || "attachment")
+        name: att.transfer_name || path.basename(filepath || "attachment"),
+        ready: isAttachmentReady(filepath, att.total_bytes)
       };
-    }).filter(a => a.path && fs.existsSync(a.path));
+    }).filter(a => a.path);
   } catch (e) {
     log?.debug?.(`[iMessage] Attachment query error: ${e.message}`);
     return [];
@@ -188,9 +201,10 @@ function guessMimeType(uti, filepath) {
 }
 
 /**
- * Get the original message text for a reply/tapback
+ * Get the original message text for a reply/tapback.
+ * `nameFor` maps a handle to a display name (or null).
  */
-function getReplyContext(db, replyToGuid, log) {
+function getReplyContext(db, replyToGuid, log, nameFor = () => null) {
   if (!replyToGuid) return null;
   
   try {
@@ -198,23 +212,19 @@ function getReplyContext(db, replyToGuid, log) {
     if (guid.includes("/")) guid = guid.split("/").pop();
     if (guid.startsWith("bp:")) guid = guid.slice(3);
     
-    const original = db.prepare(`
-      SELECT m.text, m.ROWID, m.is_from_me, m.date, h.id as sender
-      FROM message m
-      LEFT JOIN handle h ON m.handle_id = h.ROWID
-      WHERE m.guid = ? LIMIT 1
-    `).get(guid);
+    const original = db.prepare(buildReplyContextQuery(schemaOf(db))).get(guid);
     
-    if (original?.text) {
+    const text = original ? resolveMessageContent(original, log).text : "";
+    if (text) {
       // Determine sender name
       let senderName = "me";
       if (!original.is_from_me && original.sender) {
-        senderName = resolveContactName(original.sender) || original.sender;
+        senderName = nameFor(original.sender) || original.sender;
       }
       
       return { 
         guid, 
-        text: original.text, 
+        text, 
         rowId: original.ROWID,
         sender: senderName,
         isFromMe: original.is_from_me === 1
@@ -226,42 +236,145 @@ function getReplyContext(db, replyToGuid, log) {
   return null;
 }
 
-async function sendIMessage(recipient, text, log) {
-  const escaped = text
-    .replace(/\\/g, "\\\\")
-    .replace(/"/g, '\\"')
-    .replace(/\r/g, "");
-  
-  const script = `tell application "Messages" to send "${escaped}" to buddy "${recipient}" of (service 1 whose service type is iMessage)`;
+/**
+ * Look up the chat GUID for a group's chat_identifier so we can address the chat object
+ */
+function lookupChatGuid(chatDbPath, chatIdentifier, log) {
+  let db;
   try {
-    await execAsync(`osascript -e '${script.replace(/'/g, "'\"'\"'")}'`);
-    log?.info?.(`[iMessage] Sent to ${recipient}`);
-    return true;
+    db = new Database(chatDbPath, { readonly: true, fileMustExist: true });
+    const row = db.prepare(`
+      SELECT guid FROM chat WHERE chat_identifier = ? ORDER BY ROWID DESC LIMIT 1
+    `).get(chatIdentifier);
+    if (row?.guid) return row.guid;
+  } catch (e) {
+    log?.debug?.(`[iMessage] Chat GUID lookup error: ${e.message}`);
+  } finally {
+    try { db?.close(); } catch {}
+  }
+  return `iMessage;+;${chatIdentifier}`;
+}
+
+/**
+ * Turn an outbound `to` (handle, chat identifier, or imessage-legacy: address) into a send target
+ */
+function resolveTarget(rt, to, log) {
+  const target = parseTarget(to);
+  if (target.handle) target.handle = rt.normalize(target.handle) || target.handle;
+  if (target.chatIdentifier && !target.chatGuid) {
+    target.chatGuid = lookupChatGuid(rt.paths.chatDbPath, target.chatIdentifier, log);
+  }
+  return target;
+}
+
+function describeTarget(target) {
+  return target.chatGuid || target.handle;
+}
+
+/**
+ * Run a send and start watching chat.db for the row it produces.
+ * Resolves to { ms, via }: how long the send itself took and what sent it.
+ */
+async function sendTracked(rt, send, track) {
+  const afterRowId = rt.transport.tracksReceipts ? rt.receiptTracker?.mark() : undefined;
+  const startedAt = Date.now();
+  const result = await send();
+  const ms = Date.now() - startedAt;
+  if (afterRowId !== undefined) rt.receiptTracker?.track({ ...track, afterRowId });
+  return { ms, via: result?.via ?? rt.transport.name };
+}
+
+/**
+ * Send text through the outbound queue. Rejects if the send ultimately fails.
+ * `meta` (e.g. the sessionKey) is handed back with receipt events.
+ */
+async function sendIMessage(rt, target, text, log, meta = {}) {
+  const to = describeTarget(target);
+  try {
+    const { ms, via } = await rt.outbound.enqueue(to, () => sendTracked(rt, () => rt.transport.sendText(target, text), { target, text, meta }));
+    log?.info?.(`[iMessage] Sent to ${to} in ${ms}ms (${via})`);
   } catch (err) {
-    log?.error?.(`[iMessage] Send failed: ${err.message}`);
-    return false;
+    log?.error?.(`[iMessage] Send failed after ${err.attempts ?? 1} attempt(s): ${err.message}`);
+    throw err;
   }
 }
 
 /**
- * Send a file via AppleScript
+ * Send a file through the outbound queue. Rejects if the send ultimately fails.
  */
-async function sendMediaFile(recipient, filePath, log) {
-  const script = `
-    tell application "Messages"
-      set targetService to (service 1 whose service type is iMessage)
-      set targetBuddy to buddy "${recipient}" of targetService
-      send POSIX file "${filePath}" to targetBuddy
-    end tell
-  `;
+async function sendMediaFile(rt, target, filePath, log, meta = {}) {
+  const to = describeTarget(target);
   try {
-    await execAsync(`osascript -e '${script.replace(/'/g, "'\"'\"'")}'`);
-    log?.info?.(`[iMessage] Sent media to ${recipient}: ${filePath}`);
+    const { ms, via } = await rt.outbound.enqueue(to, () => sendTracked(rt, () => rt.transport.sendFile(target, filePath), { target, isMedia: true, meta: { ...meta, filePath } }));
+    log?.info?.(`[iMessage] Sent media to ${to} in ${ms}ms (${via}): ${filePath}`);
+  } catch (err) {
+    log?.error?.(`[iMessage] Media send failed after ${err.attempts ?? 1} attempt(s): ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Send one piece of media: a local path, a file:// URL or an http(s) URL,
+ * which is downloaded into the media cache first. Resolves to false when
+ * there was nothing that could be attached.
+ */
+async function sendMedia(rt, target, { mediaPath, mediaUrl }, log, meta = {}) {
+  const localPath = mediaPath || (mediaUrl?.startsWith("file://") ? mediaUrl.slice(7) : null);
+  if (localPath) {
+    if (!fs.existsSync(localPath)) {
+      log?.warn?.(`[iMessage] Media file not found: ${localPath}`);
+      return false;
+    }
+    await sendMediaFile(rt, target, localPath, log, meta);
     return true;
+  }
+  if (!isRemoteMedia(mediaUrl)) return false;
+  let file;
+  try {
+    file = await rt.media.fetchMedia(mediaUrl);
   } catch (err) {
-    log?.error?.(`[iMessage] Media send failed: ${err.message}`);
+    log?.warn?.(`[iMessage] Cannot attach ${mediaUrl}: ${err.message}`);
     return false;
   }
+  await sendMediaFile(rt, target, file, log, meta);
+  return true;
+}
+
+function createAccountMedia(config, log) {
+  return createMediaCache({
+    dir: config.paths.mediaCacheDir,
+    maxBytes: config.mediaMaxBytes,
+    allowedTypes: config.mediaTypes,
+    ttlMs: config.mediaCacheTtlMs,
+    log
+  });
+}
+
+/**
+ * Send state for an account: the running gateway's, or a fresh one built from config
+ */
+function outboundRuntime(cfg, accountId, log) {
+  const id = accountId ?? defaultAccountId(cfg);
+  const running = accountRuntimes.get(id);
+  if (running) return running;
+  const { config } = resolveAccount(cfg, id);
+  return {
+    paths: config.paths,
+    normalize: createHandleResolver(config).normalize,
+    transport: createTransport(config.transport, { file: config.paths.transportFile, log }),
+    outbound: outboundQueueFor(id, config, log),
+    media: createAccountMedia(config, log),
+    receiptTracker: null
+  };
+}
+
+/**
+ * Best-effort notice (pairing codes, acks) - failures are logged, not thrown
+ */
+async function sendNotice(rt, target, text, log) {
+  try {
+    await sendIMessage(rt, target, text, log);
+  } catch {}
 }
 
 const channel = {
@@ -276,69 +389,150 @@ const channel = {
   reload: { configPrefixes: ["channels.imessage-legacy"] },
   
   config: {
-    listAccountIds: (cfg) => cfg.channels?.["imessage-legacy"]?.enabled ? ["default"] : [],
-    resolveAccount: (cfg, accountId = "default") => {
-      const c = cfg.channels?.["imessage-legacy"] ?? {};
-      return { accountId, enabled: c.enabled ?? false, configured: Boolean(c.enabled),
-        config: { 
-          pollIntervalMs: c.pollIntervalMs ?? 1000, 
-          dmPolicy: c.dmPolicy ?? "allowlist", 
-          allowFrom: c.allowFrom ?? [],
-          includeTapbacks: c.includeTapbacks ?? true,
-          resolveContactNames: c.resolveContactNames ?? true
-        }
-      };
-    },
-    defaultAccountId: () => "default",
-    resolveAllowFrom: ({ cfg }) => cfg.channels?.["imessage-legacy"]?.allowFrom ?? [],
+    listAccountIds: (cfg) => listAccountIds(cfg),
+    resolveAccount: (cfg, accountId = DEFAULT_ACCOUNT_ID) => resolveAccount(cfg, accountId),
+    defaultAccountId: (cfg) => defaultAccountId(cfg),
+    resolveAllowFrom: ({ cfg, accountId }) => resolveAccount(cfg, accountId ?? defaultAccountId(cfg)).config.allowFrom,
   },
   
   security: { resolveDmPolicy: ({ account }) => ({ policy: account.config.dmPolicy ?? "allowlist", allowFrom: account.config.allowFrom ?? [] }) },
-  messaging: { normalizeTarget: (t) => normalizePhone(t) || t },
+  // National-format numbers are left for the account's defaultCountry at send time
+  messaging: { normalizeTarget: (t) => /^\s*\+|@/.test(t) && parseTarget(t).handle ? (normalizeHandle(t) || t) : t },
   
   outbound: {
     deliveryMode: "direct",
     textChunkLimit: 4000,
-    sendText: async ({ to, text, log }) => {
-      const success = await sendIMessage(to, text, log);
-      return success ? { ok: true, channel: "imessage-legacy" } : { ok: false, error: "Send failed" };
-    },
-    sendMedia: async ({ to, text, mediaUrl, mediaPath, log }) => {
-      let success = true;
-      
-      // Send local file if available
-      const localPath = mediaPath || (mediaUrl?.startsWith("file://") ? mediaUrl.slice(7) : null);
-      if (localPath && fs.existsSync(localPath)) {
-        success = await sendMediaFile(to, localPath, log);
+    sendText: async ({ cfg, accountId, to, text, log }) => {
+      const rt = outboundRuntime(cfg, accountId, log);
+      try {
+        await sendIMessage(rt, resolveTarget(rt, to, log), text, log);
+        return { ok: true, channel: "imessage-legacy" };
+      } catch (err) {
+        return { ok: false, error: `Send failed: ${err.message}` };
       }
-      
-      // Send text caption
-      if (text && success) {
-        success = await sendIMessage(to, text, log);
-      } else if (!localPath && mediaUrl) {
-        // Fallback: send URL as text
-        const fullText = text ? `${text}\n${mediaUrl}` : mediaUrl;
-        success = await sendIMessage(to, fullText, log);
+    },
+    sendMedia: async ({ cfg, accountId, to, text, mediaUrl, mediaPath, log }) => {
+      const rt = outboundRuntime(cfg, accountId, log);
+      const target = resolveTarget(rt, to, log);
+      try {
+        const attached = await sendMedia(rt, target, { mediaPath, mediaUrl }, log);
+        
+        // Caption, plus the link itself when the media couldn't be attached
+        const fallbackUrl = !attached && isRemoteMedia(mediaUrl) ? mediaUrl : null;
+        const body = [text, fallbackUrl].filter(Boolean).join("\n");
+        if (body) await sendIMessage(rt, target, body, log);
+        return { ok: true, channel: "imessage-legacy" };
+      } catch (err) {
+        return { ok: false, error: `Send failed: ${err.message}` };
       }
-      
-      return success ? { ok: true, channel: "imessage-legacy" } : { ok: false, error: "Send failed" };
     }
   },
   
   gateway: {
     startAccount: async (ctx) => {
       const { account, cfg, abortSignal, log } = ctx;
+      const accountId = account.accountId ?? DEFAULT_ACCOUNT_ID;
+      const paths = account.config.paths;
       const pollMs = account.config.pollIntervalMs ?? 1000;
-      const allowFrom = (account.config.allowFrom ?? []).map(s => normalizePhone(s) || s);
+      const fallbackPollMs = account.config.fallbackPollIntervalMs ?? 10000;
+      let ingestMode = account.config.ingestMode ?? "watch";
+      if (!INGEST_MODES.includes(ingestMode)) {
+        log?.warn?.(`[iMessage] Unknown ingestMode "${ingestMode}", using watch`);
+        ingestMode = "watch";
+      }
+      let defaultCountry = account.config.defaultCountry ?? DEFAULT_COUNTRY;
+      if (!isSupportedCountry(defaultCountry)) {
+        log?.warn?.(`[iMessage] Unknown defaultCountry "${defaultCountry}", using ${DEFAULT_COUNTRY}`);
+        defaultCountry = DEFAULT_COUNTRY;
+      }
+      const handles = createHandleResolver({ defaultCountry, identities: account.config.identities });
+      const allowFrom = account.config.allowFrom ?? [];
       const includeTapbacks = account.config.includeTapbacks ?? true;
+      const includeEdits = account.config.includeEdits ?? true;
+      const includeRetractions = account.config.includeRetractions ?? true;
       const resolveNames = account.config.resolveContactNames ?? true;
+      let dmScope = account.config.dmScope ?? "per-sender";
+      if (!DM_SCOPES.includes(dmScope)) {
+        log?.warn?.(`[iMessage] Unknown dmScope "${dmScope}", using per-sender`);
+        dmScope = "per-sender";
+      }
+      const routes = Array.isArray(account.config.routes) ? account.config.routes : [];
+      let dmPolicy = account.config.dmPolicy ?? "allowlist";
+      if (!DM_POLICIES.includes(dmPolicy)) {
+        log?.warn?.(`[iMessage] Unknown dmPolicy "${dmPolicy}", using allowlist`);
+        dmPolicy = "allowlist";
+      }
+      let groupPolicy = account.config.groupPolicy ?? "allowlist";
+      if (!GROUP_POLICIES.includes(groupPolicy)) {
+        log?.warn?.(`[iMessage] Unknown groupPolicy "${groupPolicy}", using allowlist`);
+        groupPolicy = "allowlist";
+      }
+      const groups = account.config.groups ?? {};
+      const mentionKeywords = account.config.mentionKeywords ?? [];
+      const selfHandles = account.config.selfHandles ?? [];
+      const groupHistory = createGroupHistory();
+      const backfill = account.config.backfill ?? {};
+      // Chats whose history has been given to their session during this run
+      const backfilledChats = new Set();
+      const attachmentOptions = account.config.attachments ?? {};
+      const attachmentWaitMs = attachmentOptions.waitMs ?? 2 * 60 * 1000;
+      const attachmentPipeline = createAttachmentPipeline({
+        cacheDir: paths.attachmentCacheDir,
+        conversions: attachmentOptions.conversions,
+        limits: attachmentOptions.maxBytes,
+        downscaleAboveBytes: attachmentOptions.downscaleAboveBytes,
+        maxDimension: attachmentOptions.maxDimension,
+        log
+      });
+      const catchUpMaxAgeMs = account.config.catchUp?.maxAgeMs ?? 10 * 60 * 1000;
+      let catchUpMode = account.config.catchUp?.mode ?? "replay";
+      if (!CATCH_UP_MODES.includes(catchUpMode)) {
+        log?.warn?.(`[iMessage] Unknown catchUp.mode "${catchUpMode}", using replay`);
+        catchUpMode = "replay";
+      }
+      const owners = configuredOwners(account.config.owners);
+      if (owners.length === 0) {
+        log?.warn?.("[iMessage] No owners configured; control commands, pairing approvals and OpenClaw commands are off");
+      }
+      const contacts = createContactsIndex(paths.addressBookDir, { normalize: handles.normalize, log });
+      const nameFor = (handle) => {
+        if (!resolveNames || !handle) return null;
+        try {
+          return contacts.lookup(handle)?.name ?? null;
+        } catch (e) {
+          log?.debug?.(`[iMessage] Contact lookup error: ${e.message}`);
+          return null;
+        }
+      };
+      const pairing = createPairingStore(paths.pairingFile, {
+        normalize: handles.identityKey,
+        codeTtlMs: account.config.pairingCodeTtlMs,
+        log
+      });
+      const control = createControlStore(paths.controlFile, { normalize: handles.identityKey, log });
+      
+      const rt = {
+        paths,
+        normalize: handles.normalize,
+        transport: createTransport(account.config.transport, {
+          file: paths.transportFile,
+          scriptWorker: account.config.scriptWorker,
+          log
+        }),
+        outbound: outboundQueueFor(accountId, account.config, log),
+        media: createAccountMedia(account.config, log),
+        receiptTracker: null
+      };
+      
+      // isOwner matches against the config list as written; notices need real addresses
+      const ownerTargets = [...new Set(owners.flatMap(handles.handlesOf).map(h => rt.normalize(h) || h))];
       
       const instanceId = Math.random().toString(36).slice(2, 6);
       
       // Claim active instance - this kills zombie instances by invalidating their ID
-      claimActiveInstance(instanceId, log);
+      claimActiveInstance(paths.instanceFile, instanceId, log);
       
-      log?.info(`[iMessage] Starting poll=${pollMs}ms allow=${allowFrom.length} tapbacks=${includeTapbacks}`);
+      log?.info(`[iMessage] Starting account=${accountId} chatDb=${paths.chatDbPath} ingest=${ingestMode} poll=${pollMs}ms allow=${allowFrom.length} tapbacks=${includeTapbacks} edits=${includeEdits} retractions=${includeRetractions} dmScope=${dmScope} routes=${routes.length} transport=${rt.transport.name} dmPolicy=${dmPolicy} groupPolicy=${groupPolicy} catchUp=${catchUpMode} paired=${pairing.approvedHandles().length}${control.paused() ? " paused" : ""}`);
       
       const finalizeInboundContext = pluginRuntime?.channel?.reply?.finalizeInboundContext;
       const dispatchReplyFromConfig = pluginRuntime?.channel?.reply?.dispatchReplyFromConfig;
@@ -349,8 +543,8 @@ const channel = {
         return () => {};
       }
       
-      const dbPath = path.join(os.homedir(), "Library/Messages/chat.db");
-      const statePath = path.join(os.homedir(), ".openclaw/imessage-legacy-state.json");
+      const dbPath = paths.chatDbPath;
+      const statePath = paths.stateFile;
       
       let db;
       try {
@@ -360,16 +554,92 @@ const channel = {
         return () => {};
       }
       
-      let state = { lastRowId: 0, processedIds: [] };
-      try { if (fs.existsSync(statePath)) state = JSON.parse(fs.readFileSync(statePath, "utf8")); } catch {}
+      let schema;
+      try {
+        schema = schemaOf(db);
+      } catch (err) {
+        log?.error(`[iMessage] Cannot read chat.db schema: ${err.message}`);
+        try { db.close(); } catch {}
+        return () => {};
+      }
+      if (schema.missing.length > 0) {
+        log?.error(`[iMessage] chat.db is missing required columns: ${schema.missing.join(", ")}`);
+        try { db.close(); } catch {}
+        return () => {};
+      }
+      log?.info(`[iMessage] chat.db ${describeFeatures(schema)}`);
+      if (!schema.features.receipts && (account.config.trackReceipts ?? true)) {
+        log?.warn?.("[iMessage] This chat.db has no delivery columns, receipt tracking is off");
+      }
+      
+      const receiptEvents = account.config.receiptEvents ?? ["failed"];
+      if ((account.config.trackReceipts ?? true) && schema.features.receipts) {
+        rt.receiptTracker = createReceiptTracker(db, {
+          schema,
+          log,
+          watchRead: receiptEvents.includes("read"),
+          onEvent: (event) => {
+            const to = event.target.chatGuid ?? event.target.handle;
+            if (event.status === "failed") {
+              log?.error(`[iMessage] Delivery FAILED to ${to} ROWID=${event.rowId} (error ${event.error})`);
+            } else {
+              log?.info(`[iMessage] Receipt ${event.status} to ${to} ROWID=${event.rowId}`);
+            }
+            if (!receiptEvents.includes(event.status)) return;
+            // Sends from outbound.* carry no session; route them like an inbound message from that chat
+            const chatGuid = event.target.chatGuid;
+            const sessionKey = event.meta?.sessionKey ?? resolveRoute(
+              chatGuid?.includes(";+;")
+                ? { isGroup: true, chatId: chatGuid.split(";").pop() }
+                : { isGroup: false, sender: event.target.handle ?? chatGuid?.split(";").pop() },
+              { dmScope, routes, normalize: handles.identityKey }
+            ).sessionKey;
+            const what = event.meta.filePath ? `attachment ${path.basename(event.meta.filePath)}` : `"${event.text.slice(0, 80)}"`;
+            const text = event.status === "failed"
+              ? `iMessage delivery failed (error ${event.error}) for ${what} to ${to}`
+              : `iMessage ${event.status}: ${what} to ${to}`;
+            pluginRuntime?.system?.enqueueSystemEvent?.(text, { sessionKey });
+          }
+        });
+      }
+      
+      const state = readJson(statePath, { lastRowId: 0, processedIds: [] }, log);
       if (!state.processedIds) state.processedIds = [];
+      if (!state.skippedBacklog) state.skippedBacklog = {};
+      const inbound = createInboundQueue(state, {
+        maxAttempts: account.config.inboundMaxAttempts,
+        retryBaseMs: account.config.inboundRetryBaseMs
+      });
+      if (inbound.size() > 0) log?.info(`[iMessage] Resuming ${inbound.size()} queued inbound messages`);
+      // Polls often change nothing (an idle chat.db, a row we skip); those don't rewrite the file
+      const writeState = createJsonWriter(statePath);
+      const saveState = () => {
+        try {
+          writeState(state);
+        } catch (e) {
+          log?.error(`[iMessage] Cannot save state: ${e.message}`);
+        }
+      };
       if (!state.lastRowId) {
         state.lastRowId = db.prepare("SELECT MAX(ROWID) as m FROM message").get()?.m ?? 0;
         log?.info(`[iMessage] Init rowId=${state.lastRowId}`);
       }
       
+      accountRuntimes.set(accountId, rt);
+      
       let running = true;
       let pollTimer = null;
+      const sweepCaches = () => {
+        rt.media.sweep();
+        sweepDir(paths.attachmentCacheDir, account.config.mediaCacheTtlMs, { log });
+      };
+      sweepCaches();
+      let mediaSweepTimer = setInterval(sweepCaches, MEDIA_SWEEP_INTERVAL_MS);
+      // Watch mode: chat.db changes trigger a poll, timed polls only back it up
+      let watcher = null;
+      let polling = false;
+      let pollRequested = false;
+      let pollDelay = 0;
       
       const cleanup = () => {
         if (!running) return;
@@ -378,9 +648,17 @@ const channel = {
           clearTimeout(pollTimer);
           pollTimer = null;
         }
+        watcher?.close();
+        watcher = null;
+        clearInterval(mediaSweepTimer);
+        mediaSweepTimer = null;
+        if (accountRuntimes.get(accountId) === rt) accountRuntimes.delete(accountId);
+        rt.receiptTracker = null;
+        rt.transport.close();
         try { db.close(); } catch {}
-        try { contactsDb?.close(); contactsDb = null; } catch {}
-        contactCache.clear();
+        contacts.clear();
+        groupHistory.clear();
+        groupDirectory.clear();
         log?.info(`[iMessage][${instanceId}] Stopped and cleaned up`);
       };
       
@@ -388,164 +666,803 @@ const channel = {
       
       log?.info(`[iMessage] Instance ${instanceId} created`);
       
+      const isOwner = (sender) => handles.isAllowed(sender, owners);
+      
+      /**
+       * Decide what to do with a sender: "allow", "pair" (issue a pairing code) or "drop"
+       */
+      function checkAccess(msg) {
+        const sender = msg.sender;
+        if (control.isBlocked(sender) && !isOwner(sender)) return "drop";
+        const known = handles.isAllowed(sender, allowFrom) || isOwner(sender) || pairing.isApproved(sender) || control.isAllowed(sender);
+        if (isGroupMessage(msg)) {
+          const groupCfg = resolveGroupConfig(groups, { chatId: msg.chat_identifier, groupName: msg.display_name });
+          if (groupPolicy === "disabled" || groupCfg.allow === false) return "drop";
+          if (groupCfg.allowFrom?.length) {
+            return handles.isAllowed(sender, groupCfg.allowFrom) ? "allow" : "drop";
+          }
+          if (groupCfg.allow === true || groupPolicy === "open") return "allow";
+          return known ? "allow" : "drop";
+        }
+        switch (dmPolicy) {
+          case "disabled": return "drop";
+          case "open": return "allow";
+          case "pairing":
+            if (known) return "allow";
+            return pairing.isDenied(sender) ? "drop" : "pair";
+          default: return known ? "allow" : "drop";
+        }
+      }
+      
+      /**
+       * Whether a group's events may reach its session: same policy as its messages,
+       * with "someone we know is in it" standing in for a known sender
+       */
+      function groupAllowed(msg, group) {
+        const groupCfg = resolveGroupConfig(groups, { chatId: msg.chat_identifier, groupName: group.name ?? msg.display_name });
+        if (groupPolicy === "disabled" || groupCfg.allow === false) return false;
+        if (groupCfg.allow === true || groupPolicy === "open") return true;
+        const known = (h) => groupCfg.allowFrom?.length
+          ? handles.isAllowed(h, groupCfg.allowFrom)
+          : handles.isAllowed(h, allowFrom) || isOwner(h) || pairing.isApproved(h) || control.isAllowed(h);
+        return group.participants.some(known) || (msg.sender ? known(msg.sender) : false);
+      }
+      
+      async function handlePairingRequest(msg) {
+        const name = nameFor(msg.sender);
+        const { code, isNew } = pairing.request(rt.normalize(msg.sender) || msg.sender, name);
+        if (!isNew) return;
+        log?.info(`[iMessage] Pairing code issued for ${msg.sender}`);
+        await sendNotice(rt, { handle: msg.sender },
+          `Hi! I don't know you yet. Your pairing code is ${code}. Ask the owner to approve it.`, log);
+        const who = name ? `${name} (${msg.sender})` : msg.sender;
+        for (const owner of ownerTargets) {
+          await sendNotice(rt, { handle: owner },
+            `Pairing request from ${who}. Reply /approve ${code} or /deny ${code}.`, log);
+        }
+      }
+      
+      async function handlePairingCommand(msg, command) {
+        const entry = pairing.resolve(command.code, command.action, msg.sender);
+        if (!entry) {
+          await sendNotice(rt, { handle: msg.sender }, `No pending pairing request with code ${command.code}.`, log);
+          return;
+        }
+        const who = entry.name ? `${entry.name} (${entry.handle})` : entry.handle;
+        log?.info(`[iMessage] Pairing ${command.action} for ${entry.handle} by ${msg.sender}`);
+        if (command.action === "approve") {
+          await sendNotice(rt, { handle: msg.sender }, `Approved ${who}.`, log);
+          // Entries from before `sender` was stored are keyed by the handle itself
+          await sendNotice(rt, { handle: entry.sender ?? entry.handle }, "You're approved - say hi!", log);
+        } else {
+          await sendNotice(rt, { handle: msg.sender }, `Denied ${who}.`, log);
+        }
+      }
+      
+      function controlStatus() {
+        const paused = control.paused();
+        const { allowed, blocked } = control.counts();
+        const now = Date.now();
+        const mutes = control.mutes(now).map(m => `${m.name ?? m.chatId} (${formatDuration(m.until - now)} left)`);
+        return [
+          paused ? `Paused since ${new Date(paused.at).toLocaleString()} by ${paused.by}.` : "Running.",
+          `dmPolicy=${dmPolicy} groupPolicy=${groupPolicy} transport=${rt.transport.name}`,
+          `Queue: ${inbound.size()} waiting, ${state.deadLetters.length} dead-lettered. Last ROWID ${state.lastRowId}.`,
+          `Allowed: ${allowed}, blocked: ${blocked}, paired: ${pairing.approvedHandles().length}.`,
+          `Muted: ${mutes.length > 0 ? mutes.join(", ") : "none"}.`
+        ].join("\n");
+      }
+      
+      function controlSessions() {
+        const sessions = control.sessions();
+        if (sessions.length === 0) return "No sessions yet.";
+        const now = Date.now();
+        return sessions.map(s => `${s.label ?? "?"} - ${s.sessionKey} (${formatDuration(now - s.at)} ago)`).join("\n");
+      }
+      
+      /**
+       * Run an owner's control command and reply with the outcome
+       */
+      async function handleControlCommand(msg, command) {
+        const reply = (text) => sendNotice(rt, { handle: msg.sender }, text, log);
+        if (command.usage) {
+          await reply(`Usage: ${command.usage}`);
+          return;
+        }
+        log?.info(`[iMessage] Control /${command.name} by ${msg.sender}`);
+        switch (command.name) {
+          case "pause":
+            control.setPaused(true, msg.sender);
+            await reply("Paused. Messages are ignored until /resume.");
+            return;
+          case "resume":
+            control.setPaused(false, msg.sender);
+            await reply("Resumed.");
+            return;
+          case "status":
+            await reply(controlStatus());
+            return;
+          case "sessions":
+            await reply(controlSessions());
+            return;
+          case "allow":
+          case "block": {
+            if (!handles.normalize(command.handle)) {
+              await reply(`${command.handle} isn't a phone number or email address.`);
+              return;
+            }
+            if (command.name === "block" && isOwner(command.handle)) {
+              await reply("Owners can't be blocked.");
+              return;
+            }
+            const key = control[command.name](command.handle, msg.sender);
+            await reply(command.name === "allow" ? `Allowed ${key}.` : `Blocked ${key}.`);
+            return;
+          }
+          case "mute": {
+            const matches = groupDirectory.find(command.group);
+            if (matches.length !== 1) {
+              await reply(matches.length === 0
+                ? `No group called "${command.group}".`
+                : `"${command.group}" matches ${matches.length} groups; use one of: ${matches.map(g => g.chatId).join(", ")}`);
+              return;
+            }
+            const [group] = matches;
+            const label = group.name ?? group.chatId;
+            if (command.durationMs === null) {
+              control.mute(group.chatId, null);
+              await reply(`Unmuted ${label}.`);
+            } else {
+              control.mute(group.chatId, Date.now() + command.durationMs, { name: group.name, by: msg.sender });
+              await reply(`Muted ${label} for ${formatDuration(command.durationMs)}.`);
+            }
+            return;
+          }
+        }
+      }
+      
+      const messageSelect = buildMessageSelect(schema);
+      const groupDirectory = createGroupDirectory(db, schema);
+      
+      // Edits and unsends touch rows we've already seen, so they have their own cursor
+      const changeColumns = [
+        includeEdits && "date_edited",
+        includeRetractions && "date_retracted"
+      ].filter(c => c && schema.has("message", c));
+      const changeAt = changeColumns.length > 1
+        ? `MAX(${changeColumns.map(c => `IFNULL(m.${c}, 0)`).join(", ")})`
+        : `IFNULL(m.${changeColumns[0]}, 0)`;
+      
+      /**
+       * Fill in reaction details and decoded content. Returns false when there is nothing to dispatch.
+       */
+      function prepareMessage(msg) {
+        const reaction = parseReaction(msg);
+        if (reaction || (msg.associated_message_type >= 2000 && msg.associated_message_type < 4000)) {
+          if (!includeTapbacks || !reaction) return false;
+          
+          const target = getReplyContext(db, reaction.targetGuid, log, nameFor);
+          msg.reaction = { ...reaction, targetText: target?.text ?? null, targetFromMe: target?.isFromMe ?? null };
+          msg.tapbackText = formatReaction(reaction, target?.text);
+        }
+        
+        msg.content = resolveMessageContent(msg, log);
+        msg.balloon = msg.reaction ? null : parseBalloon(msg.balloon_bundle_id, msg.payload_data);
+        
+        // Skip if no text and no attachments and no tapback or rich content
+        const hasAttachments = msg.cache_has_attachments || msg.content.attachments.length > 0;
+        return Boolean(msg.content.text || hasAttachments || msg.tapbackText || msg.balloon);
+      }
+      
+      /**
+       * Whether a group message should start a turn, given the text it (now) says
+       */
+      function checkGroupMessage(msg, text) {
+        const groupCfg = resolveGroupConfig(groups, { chatId: msg.chat_identifier, groupName: msg.display_name });
+        const replyGuid = msg.reply_to_guid || msg.thread_originator_guid;
+        const trigger = checkGroupTrigger(groupCfg, {
+          text,
+          mentions: msg.content.mentions,
+          isReplyToSelf: Boolean(replyGuid) && getReplyContext(db, replyGuid, log, nameFor)?.isFromMe === true
+        }, { keywords: mentionKeywords, selfHandles, normalize: handles.identityKey });
+        return { groupCfg, ...trigger };
+      }
+      
+      /**
+       * Read new rows past the cursor, filter them, and queue what should be dispatched.
+       * The cursor and queue are saved together before anything is dispatched.
+       * `scanTo` is the highest ROWID in chat.db when the poll started.
+       */
+      async function ingest(scanTo) {
+        const pairingRequests = [];
+        const pairingCommands = [];
+        const controlCommands = [];
+        const rejectedCommands = [];
+        const backlog = { count: 0, chats: new Set() };
+        const now = Date.now();
+        
+        /**
+         * Apply the catch-up policy to a message that should be dispatched
+         */
+        function enqueueDispatch(msg, entry) {
+          const handled = enqueueWithCatchUp(inbound, state, msg, entry, { mode: catchUpMode, maxAgeMs: catchUpMaxAgeMs, now });
+          if (handled === "live") return;
+          backlog.count++;
+          backlog.chats.add(entry.chat);
+          if (handled === "skip") log?.debug?.(`[iMessage] Catch-up skipped ROWID=${msg.ROWID}`);
+        }
+        
+        /**
+         * Group membership, name and photo changes become system events for the group's session
+         */
+        function ingestGroupEvent(msg) {
+          const event = isGroupMessage(msg) ? parseGroupEvent(msg) : null;
+          if (!event || state.processedIds.includes(msg.ROWID)) return;
+          state.processedIds.push(msg.ROWID);
+          
+          const chatId = msg.chat_identifier;
+          const group = groupDirectory.refresh(chatId);
+          if (!groupAllowed(msg, group)) return;
+          // Same as messages: nothing reaches the agent while paused or muted
+          const quiet = control.quietFor(chatId);
+          if (quiet) {
+            log?.debug?.(`[iMessage] ${quiet === "paused" ? "Paused" : `${chatId} is muted`}, ignoring group event ROWID=${msg.ROWID}`);
+            return;
+          }
+          const sentAt = appleTimestampToMs(msg.date);
+          if (sentAt && now - sentAt > catchUpMaxAgeMs) {
+            log?.debug?.(`[iMessage] Ignoring old group event ROWID=${msg.ROWID}`);
+            return;
+          }
+          
+          const groupName = group.name ?? msg.display_name;
+          const text = formatGroupEvent(event, { groupName: groupLabel({ ...group, name: groupName }, nameFor), nameFor });
+          const { sessionKey } = resolveRoute(
+            { sender: event.actor ?? msg.sender, chatId, isGroup: true, contactName: nameFor(event.actor), groupName },
+            { dmScope, routes, normalize: handles.identityKey }
+          );
+          log?.info(`[iMessage] Group ${chatId}: ${text}`);
+          pluginRuntime?.system?.enqueueSystemEvent?.(`iMessage group: ${text}`, { sessionKey });
+        }
+        
+        function ingestMessage(msg) {
+          state.lastRowId = Math.max(state.lastRowId, msg.ROWID);
+          if (msg.item_type) {
+            ingestGroupEvent(msg);
+            return;
+          }
+          if (!msg.sender) return;
+          if (state.processedIds.includes(msg.ROWID)) return;
+          
+          const access = checkAccess(msg);
+          if (access === "drop") {
+            const policy = isGroupMessage(msg) ? `groupPolicy=${groupPolicy}` : `dmPolicy=${dmPolicy}`;
+            log?.info(`[iMessage] Dropped ROWID=${msg.ROWID} from ${msg.sender} (${policy})`);
+            return;
+          }
+          state.processedIds.push(msg.ROWID);
+          const paused = control.paused();
+          if (access === "pair") {
+            if (!paused) pairingRequests.push(msg);
+            return;
+          }
+          
+          if (!prepareMessage(msg)) return;
+          
+          // Owner approving/denying a pairing code or controlling the plugin - handled here, never dispatched
+          if (!isGroupMessage(msg)) {
+            const owner = isOwner(msg.sender);
+            const pairingCommand = owner && parsePairingCommand(msg.content.text);
+            if (pairingCommand) {
+              pairingCommands.push({ msg, command: pairingCommand });
+              return;
+            }
+            const controlCommand = parseControlCommand(msg.content.text);
+            if (controlCommand) {
+              if (owner) {
+                controlCommands.push({ msg, command: controlCommand });
+              } else {
+                log?.warn?.(`[iMessage] Rejected /${controlCommand.name} from ${msg.sender} (not an owner)`);
+                if (!paused) rejectedCommands.push({ msg, command: controlCommand });
+              }
+              return;
+            }
+          }
+          
+          if (paused) {
+            log?.debug?.(`[iMessage] Paused, ignoring ROWID=${msg.ROWID}`);
+            return;
+          }
+          
+          const entry = { rowId: msg.ROWID, chat: msg.chat_identifier || msg.sender };
+          
+          // Group gating - only mentions/keywords/replies to us trigger a turn
+          if (isGroupMessage(msg)) {
+            const { groupCfg, triggered, reason } = checkGroupMessage(msg, msg.content.text);
+            if (!triggered || control.isMuted(msg.chat_identifier)) {
+              // Kept in order with the rest of the queue so only earlier chatter lands in context
+              if (groupCfg.recordContext && (msg.content.text || msg.tapbackText)) {
+                inbound.enqueue({ ...entry, contextOnly: true, historyLimit: groupCfg.historyLimit });
+              }
+              return;
+            }
+            entry.triggerReason = reason;
+          }
+          
+          enqueueDispatch(msg, entry);
+        }
+        let msgs;
+        do {
+          msgs = db.prepare(`${messageSelect}
+            WHERE m.ROWID > ? AND ${schema.features.groupEvents ? "(m.is_from_me = 0 OR IFNULL(m.item_type, 0) != 0)" : "m.is_from_me = 0"}
+            GROUP BY m.ROWID
+            ORDER BY m.ROWID LIMIT 20
+          `).all(state.lastRowId);
+          if (msgs.length === 0) break;
+          for (const msg of msgs) ingestMessage(msg);
+          if (state.processedIds.length > 100) state.processedIds = state.processedIds.slice(-100);
+          saveState();
+        } while (msgs.length === 20 && running);
+        // Everything up to scanTo has been read, so rows the SELECT skips (our own
+        // sends) move the cursor too; otherwise they'd look new on every poll
+        if (msgs.length < 20 && scanTo > state.lastRowId) {
+          state.lastRowId = scanTo;
+          saveState();
+        }
+        
+        if (backlog.count > 0) {
+          log?.info(`[iMessage] Catch-up mode=${catchUpMode}: ${backlog.count} backlog messages older than ${Math.round(catchUpMaxAgeMs / 1000)}s in ${backlog.chats.size} chats`);
+        }
+        
+        for (const msg of pairingRequests) await handlePairingRequest(msg);
+        for (const { msg, command } of pairingCommands) await handlePairingCommand(msg, command);
+        for (const { msg, command } of controlCommands) {
+          // One failing command must not take the owner's later ones down with it
+          try {
+            await handleControlCommand(msg, command);
+          } catch (err) {
+            log?.error(`[iMessage] Control /${command.name} by ${msg.sender} failed: ${err.message}`);
+            await sendNotice(rt, { handle: msg.sender }, `/${command.name} failed: ${err.message}`, log);
+          }
+        }
+        for (const { msg, command } of rejectedCommands) {
+          await sendNotice(rt, { handle: msg.sender }, `Only the owner can use /${command.name}.`, log);
+        }
+      }
+      
+      /**
+       * Look for edits and unsends of recent messages and queue them as their own turns
+       */
+      function ingestChanges() {
+        const windowStart = Math.max(0, state.lastRowId - CHANGE_WINDOW_ROWS);
+        if (state.lastChangeAt == null) {
+          state.lastChangeAt = db.prepare(`SELECT MAX(${changeAt}) as m FROM message m WHERE m.ROWID > ?`).get(windowStart)?.m ?? 0;
+          saveState();
+          return;
+        }
+        
+        const rows = db.prepare(`${messageSelect}
+          WHERE m.is_from_me = 0 AND m.ROWID > ? AND m.ROWID <= ? AND ${changeAt} > ?
+          GROUP BY m.ROWID
+          ORDER BY ${changeAt}
+        `).all(windowStart, state.lastRowId, state.lastChangeAt);
+        if (rows.length === 0) return;
+        
+        const now = Date.now();
+        for (const msg of rows) {
+          state.lastChangeAt = Math.max(state.lastChangeAt, ...changeColumns.map(c => msg[c] ?? 0));
+          if (!msg.sender || checkAccess(msg) !== "allow" || control.paused()) continue;
+          
+          msg.content = resolveMessageContent(msg, log);
+          const change = describeChange(msg, msg.content.text);
+          if (!change) continue;
+          if (change.kind === "retract" ? !includeRetractions : !includeEdits) continue;
+          
+          const changedAt = appleTimestampToMs(change.at);
+          if (changedAt && now - changedAt > catchUpMaxAgeMs) {
+            log?.debug?.(`[iMessage] Ignoring old ${change.kind} of ROWID=${msg.ROWID}`);
+            continue;
+          }
+          
+          const entry = {
+            id: `${msg.ROWID}:${change.kind}:${change.at}`,
+            rowId: msg.ROWID,
+            order: state.lastRowId + 0.5,
+            chat: msg.chat_identifier || msg.sender,
+            change
+          };
+          if (isGroupMessage(msg)) {
+            const { triggered, reason } = checkGroupMessage(msg, change.text || change.previousText || "");
+            if (!triggered || control.isMuted(msg.chat_identifier)) continue;
+            entry.triggerReason = reason;
+          }
+          log?.info(`[iMessage] ROWID=${msg.ROWID} ${change.kind === "edit" ? "edited" : "unsent"} by ${msg.sender}`);
+          inbound.enqueue(entry);
+        }
+        saveState();
+      }
+      
+      /**
+       * Dispatch one message to OpenClaw. Throws if dispatch fails so the queue can retry it.
+       */
+      async function dispatchMessage(msg) {
+        const isGroup = isGroupMessage(msg);
+        const chatId = isGroup ? msg.chat_identifier : msg.sender;
+        const replyTarget = isGroup
+          ? { chatGuid: msg.chat_guid || `iMessage;+;${chatId}` }
+          : { handle: msg.sender };
+        
+        // Resolve contact name
+        const contactName = nameFor(msg.sender);
+        const senderName = contactName || msg.sender;
+        const group = isGroup ? groupDirectory.get(chatId) : null;
+        const groupName = isGroup ? (msg.display_name || groupLabel(group, nameFor)) : null;
+        
+        if (msg.contextOnly) {
+          groupHistory.record(chatId, { sender: senderName, text: msg.tapbackText || msg.content.text }, msg.historyLimit);
+          return;
+        }
+        
+        // A summarized backlog turn carries every collapsed row
+        const rows = msg.catchUp?.rows ?? [msg];
+        
+        // Get attachments for OpenClaw media pipeline, converted and size-checked
+        let mediaPaths = [];
+        let mediaTypes = [];
+        const attachmentNotes = [];
+        // Link previews, app messages, and contact cards / locations read from .vcf files
+        const rich = { ...msg.balloon, contacts: [] };
+        const attachments = msg.attachments ?? loadAttachments(msg);
+        if (attachments.length > 0) {
+          log?.info(`[iMessage] Message has ${attachments.length} attachments: ${attachments.map(a => a.mimeType).join(', ')}`);
+        }
+        for (const att of attachments) {
+          if (!att.ready) {
+            attachmentNotes.push(`[Attachment not downloaded: ${att.name}]`);
+            continue;
+          }
+          if (isVCardAttachment(att)) {
+            try {
+              const { contacts, location } = readVCardAttachment(att.path);
+              rich.contacts.push(...contacts);
+              rich.location ??= location;
+              continue;
+            } catch (e) {
+              log?.debug?.(`[iMessage] Cannot read vCard ${att.name}: ${e.message}`);
+            }
+          }
+          const processed = await attachmentPipeline.process(att);
+          if (processed.tooLarge) {
+            attachmentNotes.push(`[Attachment too large: ${att.name}, ${formatSize(processed.size)}]`);
+            continue;
+          }
+          mediaPaths.push(processed.path);
+          mediaTypes.push(processed.mimeType);
+        }
+        
+        // Get reply context if this is a quote-reply
+        let replyContext = null;
+        const replyGuid = msg.reply_to_guid || msg.thread_originator_guid;
+        if (replyGuid && !msg.change) {
+          replyContext = getReplyContext(db, replyGuid, log, nameFor);
+        }
+        
+        // Build message text
+        let bodyText = msg.change ? formatChange(msg.change) : (msg.tapbackText || formatBodyText(msg.content));
+        
+        // Add clean reply context if present
+        if (replyContext && !msg.tapbackText) {
+          bodyText = `[Quoting ${replyContext.sender}: "${replyContext.text}"]\n${bodyText}`;
+        }
+        const notes = [...formatRichContent(rich), ...attachmentNotes];
+        if (notes.length > 0) {
+          bodyText = [bodyText, ...notes].filter(Boolean).join("\n");
+        }
+        
+        if (msg.catchUp?.mode === "summarize") {
+          bodyText = formatCatchUpSummary(rows.map(row => ({
+            sender: nameFor(row.sender) || row.sender,
+            text: row.tapbackText || formatBodyText(row.content) || "[attachment]",
+            sentAt: appleTimestampToMs(row.date)
+          })));
+        }
+        
+        if (!bodyText.trim() && mediaPaths.length === 0) return;
+        
+        // How backlog was handled, if this turn is catching up after downtime
+        const skipped = state.skippedBacklog[msg.chat_identifier || msg.sender];
+        const catchUp = msg.catchUp ?? (skipped ? { mode: "skip", count: skipped.count } : null);
+        
+        const { sessionKey, rule } = resolveRoute(
+          { sender: msg.sender, chatId, isGroup, contactName, groupName: msg.display_name },
+          { dmScope, routes, normalize: handles.identityKey }
+        );
+        if (rule) log?.debug?.(`[iMessage] Routed ROWID=${msg.ROWID} to ${sessionKey}`);
+        
+        // The chat's earlier history, the first time it reaches this session
+        const backfillKey = `${sessionKey}|${msg.chat_identifier || msg.sender}`;
+        const earlier = backfillEnabled(backfill) && !backfilledChats.has(backfillKey) ? loadBackfill(msg, rows[0].ROWID) : "";
+        
+        // Earlier group chatter that didn't trigger a turn, as context for this one (backfill already covers it)
+        const chatter = isGroup ? groupHistory.take(chatId) : [];
+        const history = earlier || formatGroupHistory(chatter);
+        const bodyForAgent = [catchUpNote(catchUp), history, bodyText].filter(Boolean).join("\n");
+        if (catchUp) log?.info(`[iMessage] ROWID=${msg.ROWID} dispatched with catch-up mode=${catchUp.mode}`);
+        
+        log?.info(`[iMessage][${instanceId}] ROWID=${msg.ROWID} From ${senderName}: "${bodyText.slice(0, 50)}" media=${mediaPaths.length}`);
+        
+        // Create inbound context with media paths for OpenClaw pipeline
+        const inboundCtx = finalizeInboundContext({
+          Body: bodyText,
+          RawBody: msg.content.raw,
+          CommandBody: bodyText,
+          BodyForAgent: bodyForAgent,
+          BodyForCommands: bodyText,
+          From: isGroup ? `imessage-legacy:group:${chatId}` : `imessage-legacy:${msg.sender}`,
+          To: msg.sender,
+          SessionKey: sessionKey,
+          AccountId: account.accountId,
+          ChatType: isGroup ? "group" : "direct",
+          ConversationLabel: groupName || senderName,
+          GroupSubject: groupName || undefined,
+          GroupMembers: group?.participants.length ? group.participants.map(h => nameFor(h) || h).join(", ") : undefined,
+          SenderName: senderName,
+          SenderId: msg.sender,
+          Provider: "imessage-legacy",
+          Surface: "imessage-legacy",
+          MessageSid: msg.change
+            ? `imsg-${msg.guid || msg.ROWID}-${msg.change.kind}-${msg.change.at}`
+            : `imsg-${msg.guid || msg.ROWID}`,
+          MessageEvent: msg.change?.kind ?? (msg.reaction ? "reaction" : undefined),
+          OriginalMessageSid: msg.change ? `imsg-${msg.guid || msg.ROWID}` : undefined,
+          PreviousText: msg.change?.previousText ?? undefined,
+          Reaction: msg.reaction ? {
+            action: msg.reaction.action,
+            kind: msg.reaction.kind,
+            emoji: msg.reaction.emoji,
+            targetMessageSid: `imsg-${msg.reaction.targetGuid}`,
+            targetPart: msg.reaction.targetPart,
+            targetText: msg.reaction.targetText,
+            targetFromMe: msg.reaction.targetFromMe
+          } : undefined,
+          Timestamp: Date.now(),
+          // OpenClaw's own slash commands are for owners too
+          CommandAuthorized: isOwner(msg.sender),
+          WasMentioned: isGroup ? msg.triggerReason !== "always" : undefined,
+          CatchUpMode: catchUp?.mode,
+          OriginatingChannel: "imessage-legacy",
+          OriginatingTo: msg.sender,
+          // Media paths for OpenClaw's media understanding pipeline
+          MediaPaths: mediaPaths.length > 0 ? mediaPaths : undefined,
+          MediaTypes: mediaTypes.length > 0 ? mediaTypes : undefined,
+          MentionedHandles: msg.content.mentions.length > 0 ? msg.content.mentions.map(m => m.handle) : undefined,
+          LinkUrls: msg.content.links.length > 0 ? msg.content.links.map(l => l.url) : undefined,
+          BalloonKind: rich.kind,
+          LinkPreview: rich.link,
+          Location: rich.location ?? undefined,
+          ContactCards: rich.contacts.length > 0 ? rich.contacts : undefined,
+          Payment: rich.payment,
+          AppMessage: rich.app,
+        });
+        
+        control.touchSession(sessionKey, groupName || senderName);
+        
+        const { dispatcher, replyOptions, markDispatchIdle } = createReplyDispatcherWithTyping({
+          deliver: async (payload, { kind }) => {
+            if (payload?.text) {
+              log?.info(`[iMessage] Delivering ${kind}: "${payload.text.slice(0, 50)}"`);
+              await sendIMessage(rt, replyTarget, payload.text, log, { sessionKey });
+            }
+            if (payload?.mediaPath) {
+              await sendMedia(rt, replyTarget, { mediaPath: payload.mediaPath }, log, { sessionKey });
+            }
+            for (const mediaUrl of payload?.mediaUrls ?? (payload?.mediaUrl ? [payload.mediaUrl] : [])) {
+              const attached = await sendMedia(rt, replyTarget, { mediaUrl }, log, { sessionKey });
+              if (!attached && isRemoteMedia(mediaUrl)) await sendIMessage(rt, replyTarget, mediaUrl, log, { sessionKey });
+            }
+          },
+          onError: (err) => {
+            log?.error(`[iMessage] Dispatch error: ${err.message}`);
+          }
+        });
+        
+        try {
+          await dispatchReplyFromConfig({ ctx: inboundCtx, cfg, dispatcher, replyOptions });
+        } finally {
+          markDispatchIdle();
+        }
+        if (skipped) delete state.skippedBacklog[msg.chat_identifier || msg.sender];
+        if (backfillEnabled(backfill)) backfilledChats.add(backfillKey);
+      }
+      
+      /**
+       * Attachments of a message (every row of a summarized backlog)
+       */
+      function loadAttachments(msg) {
+        if (msg.change) return [];
+        const rows = msg.catchUp?.rows ?? [msg];
+        return rows
+          .filter(row => row.cache_has_attachments || row.content.attachments.length > 0)
+          .flatMap(row => getAttachments(db, row.ROWID, log, paths.homeDir));
+      }
+      
+      /**
+       * Recent history of a message's chat from chat.db, formatted as prior context
+       */
+      function loadBackfill(msg, beforeRowId) {
+        const chatIdentifier = msg.chat_identifier || msg.sender;
+        try {
+          const entries = selectBackfillRows(db, schema, { chatIdentifier, beforeRowId, backfill })
+            .map(row => {
+              const content = resolveMessageContent(row, log);
+              const hasAttachments = row.cache_has_attachments || content.attachments.length > 0;
+              return {
+                sender: row.is_from_me ? "me" : (nameFor(row.sender) || row.sender || "unknown"),
+                text: formatBodyText(content) || (hasAttachments ? "[attachment]" : "")
+              };
+            })
+            .filter(e => e.text);
+          if (entries.length > 0) log?.info(`[iMessage] Backfilled ${entries.length} earlier messages for ${chatIdentifier}`);
+          return formatBackfill(entries);
+        } catch (e) {
+          log?.warn?.(`[iMessage] Backfill failed for ${chatIdentifier}: ${e.message}`);
+          return "";
+        }
+      }
+      
+      /**
+       * Re-read a queued entry's row(s) from chat.db. Returns null when there is nothing left to dispatch.
+       */
+      function loadQueuedMessage(entry) {
+        if (entry.change) {
+          const row = db.prepare(`${messageSelect} WHERE m.ROWID = ? GROUP BY m.ROWID`).get(entry.rowId);
+          if (!row) return null;
+          row.content = resolveMessageContent(row, log);
+          row.change = entry.change;
+          return row;
+        }
+        const load = (rowId) => {
+          const row = db.prepare(`${messageSelect} WHERE m.ROWID = ? GROUP BY m.ROWID`).get(rowId);
+          return row && prepareMessage(row) ? row : null;
+        };
+        if (entry.catchUp?.mode === "summarize") {
+          const rows = entry.catchUp.rowIds.map(load).filter(Boolean);
+          if (rows.length === 0) return null;
+          const msg = rows[rows.length - 1];
+          msg.catchUp = { mode: "summarize", count: rows.length, rows };
+          return msg;
+        }
+        const msg = load(entry.rowId);
+        if (msg && entry.catchUp) msg.catchUp = entry.catchUp;
+        return msg;
+      }
+      
+      /**
+       * Dispatch queued messages that are due. Each one is acked only after dispatch completes.
+       */
+      async function drainQueue() {
+        // Paused: queued messages wait for /resume
+        if (control.paused()) return;
+        // Chats whose oldest entry failed or is waiting; later entries stay behind it
+        const heldChats = new Set();
+        for (const entry of inbound.due()) {
+          if (!running) return;
+          if (heldChats.has(entry.chat)) continue;
+          const key = entry.id ?? entry.rowId;
+          
+          const msg = loadQueuedMessage(entry);
+          if (!msg) {
+            log?.info(`[iMessage] ROWID=${entry.rowId} no longer dispatchable, dropping from queue`);
+            inbound.ack(key);
+            saveState();
+            continue;
+          }
+          msg.contextOnly = entry.contextOnly;
+          msg.historyLimit = entry.historyLimit;
+          msg.triggerReason = entry.triggerReason;
+          
+          // Photos are often still coming down from iCloud when the row appears
+          msg.attachments = msg.contextOnly ? [] : loadAttachments(msg);
+          const downloading = msg.attachments.filter(att => !att.ready);
+          if (downloading.length > 0) {
+            const now = Date.now();
+            const waitingMs = now - (entry.deferredSince ?? now);
+            if (waitingMs < attachmentWaitMs) {
+              if (entry.deferredSince === undefined) {
+                log?.info(`[iMessage] ROWID=${entry.rowId} waiting for ${downloading.length} attachment(s) to download`);
+              }
+              inbound.defer(key, now + ATTACHMENT_RECHECK_MS, now);
+              heldChats.add(entry.chat);
+              saveState();
+              continue;
+            }
+            log?.warn?.(`[iMessage] ROWID=${entry.rowId} attachments still not downloaded after ${Math.round(waitingMs / 1000)}s, dispatching without them`);
+          }
+          
+          try {
+            await dispatchMessage(msg);
+            inbound.ack(key);
+          } catch (err) {
+            heldChats.add(entry.chat);
+            const { deadLettered } = inbound.fail(key, err);
+            if (deadLettered) {
+              log?.error(`[iMessage] ROWID=${entry.rowId} dead-lettered after ${entry.attempts} attempts: ${err.stack || err.message}`);
+            } else {
+              log?.error(`[iMessage] Dispatch error ROWID=${entry.rowId} (attempt ${entry.attempts}, retry at ${new Date(entry.nextAttemptAt).toISOString()}): ${err.message}`);
+            }
+          }
+          saveState();
+        }
+      }
+      
       async function poll() {
         if (!running) return;
+        if (polling) {
+          // A change arrived mid-poll; go again once this one is done
+          pollRequested = true;
+          return;
+        }
+        if (pollTimer) {
+          clearTimeout(pollTimer);
+          pollTimer = null;
+        }
         
         // Check if we're still the active instance - if not, stop polling
-        if (!isActiveInstance(instanceId)) {
+        if (!isActiveInstance(paths.instanceFile, instanceId)) {
           log?.info(`[iMessage][${instanceId}] No longer active instance, stopping`);
           cleanup();
           return;
         }
         
+        polling = true;
+        let active = false;
         try {
           const maxId = db.prepare("SELECT MAX(ROWID) as m FROM message").get()?.m ?? 0;
-          
           if (maxId > state.lastRowId) {
-            const msgs = db.prepare(`
-              SELECT m.ROWID, m.guid, m.text, m.is_from_me, m.associated_message_type,
-                     m.associated_message_guid, m.reply_to_guid, m.thread_originator_guid,
-                     m.cache_has_attachments,
-                     h.id as sender, c.chat_identifier, c.style
-              FROM message m 
-              LEFT JOIN handle h ON m.handle_id = h.ROWID
-              LEFT JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
-              LEFT JOIN chat c ON cmj.chat_id = c.ROWID
-              WHERE m.ROWID > ? AND m.is_from_me = 0 
-              GROUP BY m.ROWID
-              ORDER BY m.ROWID LIMIT 20
-            `).all(state.lastRowId);
-            
-            const toProcess = [];
-            for (const msg of msgs) {
-              state.lastRowId = Math.max(state.lastRowId, msg.ROWID);
-              if (!msg.sender) continue;
-              if (!isAllowed(msg.sender, allowFrom)) continue;
-              if (state.processedIds.includes(msg.ROWID)) continue;
-              state.processedIds.push(msg.ROWID);
-              
-              // Handle tapbacks
-              if (msg.associated_message_type >= 2000 && msg.associated_message_type < 4000) {
-                if (!includeTapbacks) continue;
-                const emoji = TAPBACK_TYPES[msg.associated_message_type];
-                const isRemove = msg.associated_message_type >= 3000;
-                if (!emoji || isRemove) continue;
-                
-                const context = getReplyContext(db, msg.associated_message_guid, log);
-                msg.tapbackText = `${emoji} reacted to: "${context?.text || 'message'}"`;
-              }
-              
-              // Skip if no text and no attachments and no tapback
-              if (!msg.text?.trim() && !msg.cache_has_attachments && !msg.tapbackText) continue;
-              
-              toProcess.push(msg);
-            }
-            
-            if (state.processedIds.length > 100) state.processedIds = state.processedIds.slice(-100);
-            fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
-            
-            for (const msg of toProcess) {
-              const isGroup = msg.style === 43 || msg.chat_identifier?.startsWith("chat");
-              const chatId = isGroup ? msg.chat_identifier : msg.sender;
-              
-              // Resolve contact name
-              const contactName = resolveNames ? resolveContactName(msg.sender, log) : null;
-              const senderName = contactName || msg.sender;
-              
-              // Get attachments for OpenClaw media pipeline
-              let mediaPaths = [];
-              let mediaTypes = [];
-              if (msg.cache_has_attachments) {
-                const attachments = getAttachments(db, msg.ROWID, log);
-                for (const att of attachments) {
-                  mediaPaths.push(att.path);
-                  mediaTypes.push(att.mimeType);
-                }
-                if (attachments.length > 0) {
-                  log?.info(`[iMessage] Message has ${attachments.length} attachments: ${mediaTypes.join(', ')}`);
-                }
-              }
-              
-              // Get reply context if this is a quote-reply
-              let replyContext = null;
-              const replyGuid = msg.reply_to_guid || msg.thread_originator_guid;
-              if (replyGuid) {
-                replyContext = getReplyContext(db, replyGuid, log);
-              }
-              
-              // Build message text
-              let bodyText = msg.tapbackText || msg.text || "";
-              
-              // Add clean reply context if present
-              if (replyContext && !msg.tapbackText) {
-                bodyText = `[Quoting ${replyContext.sender}: "${replyContext.text}"]\n${bodyText}`;
-              }
-              
-              if (!bodyText.trim() && mediaPaths.length === 0) continue;
-              
-              log?.info(`[iMessage][${instanceId}] ROWID=${msg.ROWID} From ${senderName}: "${bodyText.slice(0, 50)}" media=${mediaPaths.length}`);
-              
-              try {
-                const sessionKey = isGroup 
-                  ? `agent:main:imessage-legacy:group:${chatId}`
-                  : `agent:main:main`;
-                
-                // Create inbound context with media paths for OpenClaw pipeline
-                const inboundCtx = finalizeInboundContext({
-                  Body: bodyText,
-                  RawBody: msg.text || "",
-                  CommandBody: bodyText,
-                  BodyForAgent: bodyText,
-                  BodyForCommands: bodyText,
-                  From: isGroup ? `imessage-legacy:group:${chatId}` : `imessage-legacy:${msg.sender}`,
-                  To: msg.sender,
-                  SessionKey: sessionKey,
-                  AccountId: account.accountId,
-                  ChatType: isGroup ? "group" : "direct",
-                  ConversationLabel: senderName,
-                  SenderName: senderName,
-                  SenderId: msg.sender,
-                  Provider: "imessage-legacy",
-                  Surface: "imessage-legacy",
-                  MessageSid: `imsg-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
-                  Timestamp: Date.now(),
-                  CommandAuthorized: true,
-                  OriginatingChannel: "imessage-legacy",
-                  OriginatingTo: msg.sender,
-                  // Media paths for OpenClaw's media understanding pipeline
-                  MediaPaths: mediaPaths.length > 0 ? mediaPaths : undefined,
-                  MediaTypes: mediaTypes.length > 0 ? mediaTypes : undefined,
-                });
-                
-                const { dispatcher, replyOptions, markDispatchIdle } = createReplyDispatcherWithTyping({
-                  deliver: async (payload, { kind }) => {
-                    if (payload?.text) {
-                      log?.info(`[iMessage] Delivering ${kind}: "${payload.text.slice(0, 50)}"`);
-                      await sendIMessage(chatId, payload.text, log);
-                    }
-                    if (payload?.mediaPath && fs.existsSync(payload.mediaPath)) {
-                      await sendMediaFile(chatId, payload.mediaPath, log);
-                    }
-                  },
-                  onError: (err) => {
-                    log?.error(`[iMessage] Dispatch error: ${err.message}`);
-                  }
-                });
-                
-                await dispatchReplyFromConfig({ ctx: inboundCtx, cfg, dispatcher, replyOptions });
-                markDispatchIdle();
-                
-              } catch (err) {
-                log?.error(`[iMessage] Dispatch error: ${err.stack || err.message}`);
-              }
-            }
+            active = true;
+            await ingest(maxId);
           }
+          if (changeColumns.length > 0) ingestChanges();
+          if (inbound.size() > 0) await drainQueue();
+          if (rt.receiptTracker?.size() > 0) rt.receiptTracker.check();
+          // Retries are due soon, don't back off while they're outstanding. Receipts
+          // don't count: their status changes write chat.db, which wakes the watcher.
+          active = active || inbound.size() > 0;
         } catch (err) {
           log?.error(`[iMessage][${instanceId}] Poll error: ${err.message}`);
         }
+        polling = false;
         
-        if (running) {
-          pollTimer = setTimeout(poll, pollMs);
+        if (!running) return;
+        if (pollRequested) {
+          pollRequested = false;
+          pollDelay = pollMs;
+          pollTimer = setTimeout(poll, 0);
+          return;
+        }
+        pollDelay = watcher
+          ? nextPollDelay(pollDelay, { active, minMs: pollMs, maxMs: fallbackPollMs })
+          : pollMs;
+        pollTimer = setTimeout(poll, pollDelay);
+      }
+      
+      if (ingestMode === "watch") {
+        try {
+          watcher = watchChatDb(paths.chatDbPath, {
+            onChange: () => {
+              pollDelay = 0;
+              poll();
+            },
+            onError: () => {
+              watcher?.close();
+              watcher = null;
+              log?.warn?.(`[iMessage] Falling back to polling every ${pollMs}ms`);
+            },
+            log
+          });
+          log?.info(`[iMessage] Watching ${paths.chatDbPath} for changes (safety-net poll every ${pollMs}-${fallbackPollMs}ms)`);
+        } catch (err) {
+          log?.warn?.(`[iMessage] Cannot watch ${paths.chatDbPath} (${err.message}), polling every ${pollMs}ms`);
         }
       }
       
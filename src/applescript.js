@@ -0,0 +1,123 @@
+/**
+ * AppleScript generation for Messages.app sends
+ *
+ * Direct chats are addressed as a buddy on the iMessage service; group chats
+ * have no single buddy and must be addressed by their chat GUID
+ * (`iMessage;+;chat123…` from the `chat` table).
+ */
+
+const CHANNEL_PREFIX = "imessage-legacy:";
+const GROUP_PREFIX = "imessage-legacy:group:";
+
+/**
+ * Whether a chat GUID / identifier names a group chat
+ */
+export function isGroupChatId(id) {
+  return Boolean(id) && (/^[^;]+;\+;/.test(id) || id.startsWith("chat"));
+}
+
+/**
+ * Parse an outbound address into what we know about the target.
+ *
+ *   imessage-legacy:group:chat123  -> { group: true, chatIdentifier: "chat123" }
+ *   imessage-legacy:group:iMessage;+;chat123 -> { group: true, chatGuid: "iMessage;+;chat123" }
+ *   imessage-legacy:+15551234567   -> { group: false, handle: "+15551234567" }
+ */
+export function parseTarget(to) {
+  let id = String(to ?? "").trim();
+  let group = false;
+  if (id.startsWith(GROUP_PREFIX)) {
+    id = id.slice(GROUP_PREFIX.length);
+    group = true;
+  } else if (id.startsWith(CHANNEL_PREFIX)) {
+    id = id.slice(CHANNEL_PREFIX.length);
+  }
+
+  if (/^[^;]+;[+-];/.test(id)) {
+    return { group: id.includes(";+;"), chatGuid: id };
+  }
+  if (group || isGroupChatId(id)) {
+    return { group: true, chatIdentifier: id };
+  }
+  return { group: false, handle: id };
+}
+
+// Scripts are constant; every value arrives through `on run argv`, so nothing
+// from a message, file name or address is ever parsed as AppleScript. Item 1
+// is always the send kind, which keeps osascript from reading a value that
+// starts with "-" as one of its own flags.
+const SEND_SCRIPTS = {
+  textToChat: `
+on run argv
+  set theText to item 2 of argv
+  tell application "Messages" to send theText to chat id (item 3 of argv)
+end run`,
+  textToBuddy: `
+on run argv
+  set theText to item 2 of argv
+  tell application "Messages"
+    set theService to 1st service whose service type is iMessage
+    send theText to buddy (item 3 of argv) of theService
+  end tell
+end run`,
+  fileToChat: `
+on run argv
+  set theFile to POSIX file (item 2 of argv)
+  tell application "Messages" to send theFile to chat id (item 3 of argv)
+end run`,
+  fileToBuddy: `
+on run argv
+  set theFile to POSIX file (item 2 of argv)
+  tell application "Messages"
+    set theService to 1st service whose service type is iMessage
+    send theFile to buddy (item 3 of argv) of theService
+  end tell
+end run`
+};
+
+function recipient(target) {
+  return String(target.chatGuid ?? target.handle ?? "");
+}
+
+// argv can't carry NUL bytes, and Messages.app wouldn't show them anyway
+function messageText(text) {
+  return String(text).replace(/\r/g, "").replace(/\0/g, "");
+}
+
+/**
+ * Script and arguments for sending text: { script, args }
+ */
+export function buildSendTextScript(target, text) {
+  return {
+    script: target.chatGuid ? SEND_SCRIPTS.textToChat : SEND_SCRIPTS.textToBuddy,
+    args: ["text", messageText(text), recipient(target)]
+  };
+}
+
+/**
+ * Script and arguments for sending a file: { script, args }
+ */
+export function buildSendFileScript(target, filePath) {
+  return {
+    script: target.chatGuid ? SEND_SCRIPTS.fileToChat : SEND_SCRIPTS.fileToBuddy,
+    args: ["file", String(filePath), recipient(target)]
+  };
+}
+
+/**
+ * argv for execFile("osascript", …): one -e per script line, then the arguments
+ */
+export function osascriptArgs({ script, args }) {
+  const lines = script.split("\n").filter(line => line.trim());
+  return [...lines.flatMap(line => ["-e", line]), ...args];
+}
+
+/**
+ * The same send as a command for the persistent script worker
+ */
+export function buildWorkerCommand(target, { text, filePath }) {
+  const to = target.chatGuid ? { chatGuid: String(target.chatGuid) } : { handle: recipient(target) };
+  return filePath !== undefined
+    ? { kind: "file", filePath: String(filePath), ...to }
+    : { kind: "text", text: messageText(text), ...to };
+}
@@ -0,0 +1,150 @@
+/**
+ * Inbound attachment pipeline
+ *
+ * Between chat.db and `MediaPaths` each ready attachment goes through the
+ * enabled converters in order, then a per-type size limit:
+ *   heic-to-jpeg      HEIC/HEIF photos → JPEG (sips)
+ *   voice-to-wav      CAF/AMR voice memos → WAV (afconvert)
+ *   downscale-images  JPEG/PNG over `downscaleAboveBytes` → at most `maxDimension` px (sips)
+ * A converter is { ext, mimeType, matches(att, options), convert(input, output, { run, options }) };
+ * `ext`/`mimeType` may be null to keep the input's. Converted files are cached
+ * per source file, so a retried dispatch doesn't convert twice. A failed
+ * conversion keeps the original.
+ */
+
+import { execFile } from "child_process";
+import { promisify } from "util";
+import * as fs from "fs";
+import * as path from "path";
+import { createHash } from "crypto";
+import { formatSize } from "./media.js";
+
+const execFileAsync = promisify(execFile);
+
+const MB = 1024 * 1024;
+
+export const DEFAULT_ATTACHMENT_LIMITS = {
+  image: 20 * MB,
+  audio: 25 * MB,
+  video: 100 * MB,
+  default: 100 * MB
+};
+
+export const CONVERTERS = {
+  "heic-to-jpeg": {
+    ext: ".jpg",
+    mimeType: "image/jpeg",
+    matches: (att) => /^image\/hei[cf]$/.test(att.mimeType) || /\.hei[cf]$/i.test(att.path),
+    convert: (input, output, { run }) => run("sips", ["-s", "format", "jpeg", input, "--out", output])
+  },
+  "voice-to-wav": {
+    ext: ".wav",
+    mimeType: "audio/wav",
+    matches: (att) => /^audio\/(x-caf|amr)$/.test(att.mimeType) || /\.(caf|amr)$/i.test(att.path),
+    convert: (input, output, { run }) => run("afconvert", ["-f", "WAVE", "-d", "LEI16", input, output])
+  },
+  "downscale-images": {
+    ext: null,
+    mimeType: null,
+    matches: (att, options) => /^image\/(jpeg|png)$/.test(att.mimeType) && att.size > options.downscaleAboveBytes,
+    convert: (input, output, { run, options }) => run("sips", ["-Z", String(options.maxDimension), input, "--out", output])
+  }
+};
+
+export const DEFAULT_CONVERSIONS = Object.keys(CONVERTERS);
+
+/**
+ * Size limit for a MIME type from { image, audio, video, default }
+ */
+export function attachmentLimit(mimeType, limits = DEFAULT_ATTACHMENT_LIMITS) {
+  const major = String(mimeType ?? "").split("/")[0];
+  return limits[major] ?? limits.default ?? Infinity;
+}
+
+/**
+ * Whether an attachment's file has fully arrived. While iCloud is still
+ * downloading, the file is missing, empty or shorter than `totalBytes`
+ * (chat.db's `total_bytes`, when it is known).
+ */
+export function isAttachmentReady(filePath, totalBytes) {
+  if (!filePath) return false;
+  try {
+    const { size } = fs.statSync(filePath);
+    return size > 0 && (!(totalBytes > 0) || size >= totalBytes);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * `conversions` are names from CONVERTERS or converter objects. `run(file, args)` defaults to execFile.
+ * `process(att)` resolves to the attachment to hand on ({ path, mimeType, size, name }),
+ * or the original with `tooLarge: true` when it's over its type's limit.
+ */
+export function createAttachmentPipeline({
+  cacheDir,
+  conversions = DEFAULT_CONVERSIONS,
+  limits = DEFAULT_ATTACHMENT_LIMITS,
+  downscaleAboveBytes = 5 * MB,
+  maxDimension = 2048,
+  run = execFileAsync,
+  log
+}) {
+  const options = { downscaleAboveBytes, maxDimension };
+  const converters = [];
+  for (const entry of conversions) {
+    const converter = typeof entry === "string" ? CONVERTERS[entry] : entry;
+    if (converter) {
+      converters.push({ name: typeof entry === "string" ? entry : (entry.name ?? "custom"), ...converter });
+    } else {
+      log?.warn?.(`[iMessage] Unknown attachment conversion "${entry}"`);
+    }
+  }
+
+  const convertOne = async (att, converter) => {
+    const stat = fs.statSync(att.path);
+    const key = createHash("sha256").update(`${converter.name}|${att.path}|${stat.mtimeMs}|${stat.size}`).digest("hex").slice(0, 32);
+    const ext = converter.ext ?? path.extname(att.path);
+    const output = path.join(cacheDir, `${key}${ext}`);
+    if (!fs.existsSync(output)) {
+      fs.mkdirSync(cacheDir, { recursive: true });
+      // Same extension, so tools that pick the format from the name still work
+      const tmp = path.join(cacheDir, `.${key}.part${ext}`);
+      try {
+        await converter.convert(att.path, tmp, { run, options });
+        fs.renameSync(tmp, output);
+      } finally {
+        try { fs.unlinkSync(tmp); } catch {}
+      }
+    }
+    const base = path.basename(att.name, path.extname(att.name));
+    return {
+      ...att,
+      path: output,
+      mimeType: converter.mimeType ?? att.mimeType,
+      size: fs.statSync(output).size,
+      name: converter.ext ? `${base}${converter.ext}` : att.name
+    };
+  };
+
+  return {
+    async process(att) {
+      let current = { ...att, size: fs.statSync(att.path).size };
+      for (const converter of converters) {
+        if (!converter.matches(current, options)) continue;
+        try {
+          current = await convertOne(current, converter);
+          log?.debug?.(`[iMessage] Converted ${att.name} (${converter.name}) → ${current.mimeType}, ${formatSize(current.size)}`);
+        } catch (err) {
+          log?.warn?.(`[iMessage] Conversion ${converter.name} failed for ${att.name}: ${err.message}`);
+        }
+      }
+      const limit = attachmentLimit(current.mimeType, limits);
+      if (current.size > limit) {
+        log?.warn?.(`[iMessage] Attachment ${att.name} is ${formatSize(current.size)}, over the ${formatSize(limit)} limit for ${current.mimeType}`);
+        return { ...current, tooLarge: true };
+      }
+      return current;
+    }
+  };
+}
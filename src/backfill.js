@@ -0,0 +1,55 @@
+/**
+ * Conversation history backfill
+ *
+ * The first turn a chat dispatches into a session (per gateway run) can carry
+ * the chat's recent history from chat.db - both directions, including what
+ * the owner typed on their own devices - so the agent doesn't start blind.
+ */
+
+import { appleTimestampToMs } from "./catchup.js";
+
+// Upper bound on rows read when only `hours` is configured
+const MAX_BACKFILL_MESSAGES = 100;
+
+/**
+ * Whether backfill is configured at all
+ */
+export function backfillEnabled(backfill) {
+  return Boolean(backfill?.messages > 0 || backfill?.hours > 0);
+}
+
+/**
+ * Rows of a chat before `beforeRowId`, oldest first, limited by count and age.
+ * `backfill` is { messages, hours }; either may be unset.
+ */
+export function selectBackfillRows(db, schema, { chatIdentifier, beforeRowId, backfill, now = Date.now() }) {
+  const { col, has } = schema;
+  const limit = Math.min(backfill.messages > 0 ? backfill.messages : MAX_BACKFILL_MESSAGES, MAX_BACKFILL_MESSAGES);
+  const rows = db.prepare(`
+    SELECT m.ROWID, m.text, ${col("m", "message", "attributedBody")}, m.is_from_me, ${col("m", "message", "date")},
+           ${col("m", "message", "cache_has_attachments")},
+           h.id as sender
+    FROM message m
+    JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
+    JOIN chat c ON cmj.chat_id = c.ROWID
+    LEFT JOIN handle h ON m.handle_id = h.ROWID
+    WHERE c.chat_identifier = ? AND m.ROWID < ?
+      ${has("message", "associated_message_type") ? "AND IFNULL(m.associated_message_type, 0) = 0" : ""}
+    GROUP BY m.ROWID
+    ORDER BY m.ROWID DESC LIMIT ?
+  `).all(chatIdentifier, beforeRowId, limit);
+
+  const since = backfill.hours > 0 ? now - backfill.hours * 60 * 60 * 1000 : null;
+  return rows
+    .filter(row => since === null || (appleTimestampToMs(row.date) ?? 0) >= since)
+    .reverse();
+}
+
+/**
+ * Context block for backfilled history. `entries` are { sender, text } oldest first.
+ */
+export function formatBackfill(entries) {
+  if (!entries.length) return "";
+  const lines = entries.map(e => `${e.sender}: ${e.text}`);
+  return `[Earlier in this conversation]\n${lines.join("\n")}\n[End of earlier messages]`;
+}
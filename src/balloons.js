@@ -0,0 +1,266 @@
+/**
+ * Rich ("balloon") messages
+ *
+ * Link previews, app extension messages (Apple Cash, polls, games, ...),
+ * handwriting and Digital Touch carry a `balloon_bundle_id` and keep their
+ * content in `payload_data`, an NSKeyedArchiver binary plist. Shared
+ * contact cards and static locations arrive as `.vcf` attachments instead
+ * (`*.loc.vcf` for a location, with an Apple Maps link).
+ *
+ * Everything here turns into plain objects for the inbound context:
+ *   link      { url, title, summary, siteName }
+ *   location  { latitude, longitude, name, url }
+ *   contacts  [{ name, organization, phones, emails }]
+ *   payment   { amount, text }
+ *   app       { name, bundleId, caption, subcaption, url }
+ */
+
+import * as fs from "fs";
+import { isBinaryPlist, parseBinaryPlist } from "./bplist.js";
+
+const URL_BALLOON = "com.apple.messages.URLBalloonProvider";
+const EXTENSION_BALLOON = "com.apple.messages.MSMessageExtensionBalloonPlugin";
+const PAYMENT_EXTENSION = "com.apple.PassbookUIService.PeerPaymentMessagesExtension";
+
+const BUILTIN_KINDS = {
+  "com.apple.Handwriting.HandwritingProvider": "handwriting",
+  "com.apple.DigitalTouchBalloonProvider": "digital-touch"
+};
+
+const MAX_DEPTH = 32;
+// Values visited while unwrapping one archive; real payloads need a few hundred
+const MAX_NODES = 50000;
+// vCards bigger than this are mostly embedded photos; the text part comes first
+const MAX_VCARD_BYTES = 256 * 1024;
+
+/**
+ * Unwrap an NSKeyedArchiver plist into plain values: UIDs are followed,
+ * NSDictionary/NSArray/NSString/NSURL/NSData become their JS counterparts
+ * and `$class` entries are dropped. Each UID is unwrapped once and shared;
+ * throws when the archive needs more than MAX_NODES values.
+ */
+export function decodeKeyedArchive(plist) {
+  const objects = plist?.$objects;
+  if (!Array.isArray(objects)) return null;
+  const visiting = new Set();
+  const resolved = new Map();
+  let nodes = 0;
+
+  const isUid = (value) => value && typeof value === "object" && !Array.isArray(value) &&
+    !Buffer.isBuffer(value) && Object.keys(value).length === 1 && typeof value.uid === "number";
+
+  const resolve = (value, depth) => {
+    if (depth > MAX_DEPTH) return null;
+    if (++nodes > MAX_NODES) throw new Error("Keyed archive has too many values");
+    if (isUid(value)) {
+      // 0 is "$null"; a cycle resolves to null rather than recursing forever
+      if (value.uid === 0 || visiting.has(value.uid)) return null;
+      if (resolved.has(value.uid)) return resolved.get(value.uid);
+      visiting.add(value.uid);
+      const out = resolve(objects[value.uid], depth + 1);
+      visiting.delete(value.uid);
+      resolved.set(value.uid, out);
+      return out;
+    }
+    if (value === "$null") return null;
+    if (Array.isArray(value)) return value.map(v => resolve(v, depth + 1));
+    if (value === null || typeof value !== "object" || Buffer.isBuffer(value) || value instanceof Date) return value;
+
+    if ("NS.string" in value) return resolve(value["NS.string"], depth + 1);
+    if ("NS.relative" in value) {
+      const relative = resolve(value["NS.relative"], depth + 1);
+      const base = resolve(value["NS.base"], depth + 1);
+      try {
+        return base ? new URL(relative, base).href : relative;
+      } catch {
+        return relative;
+      }
+    }
+    if ("NS.bytes" in value) return resolve(value["NS.bytes"], depth + 1);
+    if ("NS.keys" in value) {
+      const keys = resolve(value["NS.keys"], depth + 1) ?? [];
+      const values = resolve(value["NS.objects"], depth + 1) ?? [];
+      return Object.fromEntries(keys.map((k, i) => [String(k), values[i]]));
+    }
+    if ("NS.objects" in value) return resolve(value["NS.objects"], depth + 1);
+
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (key !== "$class") out[key] = resolve(v, depth + 1);
+    }
+    return out;
+  };
+
+  const top = plist.$top ?? {};
+  return resolve(top.root ?? Object.values(top)[0], 0);
+}
+
+const str = (value) => typeof value === "string" && value.trim() ? value.trim() : null;
+
+/**
+ * Coordinates from an Apple Maps or Google Maps link, or null
+ */
+export function parseMapsUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  const pair = (text) => {
+    const match = /^\s*(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)/.exec(text ?? "");
+    if (!match) return null;
+    const latitude = Number(match[1]);
+    const longitude = Number(match[2]);
+    return Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 ? { latitude, longitude } : null;
+  };
+  const host = url.hostname.replace(/^www\./, "");
+  let coords = null;
+  let name = null;
+  if (host === "maps.apple.com") {
+    coords = pair(url.searchParams.get("ll")) ?? pair(url.searchParams.get("q")) ?? pair(url.searchParams.get("sll"));
+    name = url.searchParams.get("q");
+  } else if (/(^|\.)google\.[a-z.]+$/.test(host) || host === "goo.gl") {
+    coords = pair(/@(-?[\d.]+,-?[\d.]+)/.exec(url.pathname)?.[1]) ?? pair(url.searchParams.get("q")) ?? pair(url.searchParams.get("query"));
+  }
+  if (!coords) return null;
+  // A query that is just the coordinates again isn't a name
+  if (name && pair(name)) name = null;
+  return { ...coords, name: str(name), url: url.href };
+}
+
+/**
+ * Parse vCard text (one or more cards) into
+ * [{ name, organization, phones, emails, urls }]
+ */
+export function parseVCards(text) {
+  const unfolded = String(text).replace(/\r\n?/g, "\n").replace(/\n[ \t]/g, "");
+  const unescape = (v) => v.replace(/\\n/gi, "\n").replace(/\\([,;\\])/g, "$1").trim();
+  const cards = [];
+  let card = null;
+  for (const line of unfolded.split("\n")) {
+    const colon = line.indexOf(":");
+    if (colon < 0) continue;
+    // "item1.TEL;type=CELL" → "TEL"
+    const prop = line.slice(0, colon).split(";")[0].split(".").pop().toUpperCase();
+    const value = line.slice(colon + 1);
+    if (prop === "BEGIN" && value.trim().toUpperCase() === "VCARD") {
+      card = { name: null, organization: null, phones: [], emails: [], urls: [] };
+    } else if (prop === "END" && card) {
+      cards.push(card);
+      card = null;
+    } else if (card) {
+      if (prop === "FN") card.name = unescape(value) || card.name;
+      else if (prop === "N" && !card.name) {
+        const [family, given, middle] = value.split(";").map(unescape);
+        card.name = [given, middle, family].filter(Boolean).join(" ") || null;
+      } else if (prop === "ORG") card.organization = unescape(value.split(";")[0]) || null;
+      else if (prop === "TEL") card.phones.push(unescape(value).replace(/^tel:/i, ""));
+      else if (prop === "EMAIL") card.emails.push(unescape(value).replace(/^mailto:/i, ""));
+      else if (prop === "URL") card.urls.push(unescape(value));
+    }
+  }
+  return cards;
+}
+
+/**
+ * Contacts and locations from a `.vcf` attachment: { contacts, location }
+ */
+export function readVCardAttachment(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  let text;
+  try {
+    const buf = Buffer.alloc(Math.min(fs.fstatSync(fd).size, MAX_VCARD_BYTES));
+    fs.readSync(fd, buf, 0, buf.length, 0);
+    text = buf.toString("utf8");
+  } finally {
+    fs.closeSync(fd);
+  }
+  const contacts = [];
+  let location = null;
+  for (const card of parseVCards(text)) {
+    // A shared location is a card whose only content is a Maps link
+    const maps = card.urls.map(parseMapsUrl).find(Boolean);
+    if (maps && card.phones.length === 0 && card.emails.length === 0) {
+      location ??= { ...maps, name: maps.name ?? (card.name !== "Current Location" ? card.name : null) };
+      continue;
+    }
+    const { urls, ...contact } = card;
+    contacts.push(contact);
+  }
+  return { contacts, location };
+}
+
+export function isVCardAttachment(att) {
+  return /\.vcf$/i.test(att.path ?? "") || /^text\/(x-)?vcard$/i.test(att.mimeType ?? "");
+}
+
+/**
+ * Structured content of a balloon message: { kind, link?, location?, payment?, app? },
+ * or null when the row isn't one
+ */
+export function parseBalloon(bundleId, payload) {
+  if (!bundleId) return null;
+  let data = null;
+  if (isBinaryPlist(payload)) {
+    try {
+      data = decodeKeyedArchive(parseBinaryPlist(payload));
+    } catch {}
+  }
+
+  if (bundleId === URL_BALLOON) {
+    const meta = data?.richLinkMetadata ?? data ?? {};
+    const url = str(meta.URL) ?? str(meta.originalURL);
+    if (!url) return { kind: "link" };
+    const link = { url, title: str(meta.title), summary: str(meta.summary), siteName: str(meta.siteName) };
+    const location = parseMapsUrl(url);
+    return location
+      ? { kind: "location", link, location: { ...location, name: location.name ?? link.title } }
+      : { kind: "link", link };
+  }
+
+  if (bundleId.startsWith(EXTENSION_BALLOON)) {
+    const extension = bundleId.split(":").pop();
+    const info = data?.userInfo ?? {};
+    const app = {
+      name: str(data?.an),
+      bundleId: extension,
+      caption: str(info.caption) ?? str(data?.ldtext),
+      subcaption: str(info.subcaption) ?? str(info["secondary-subcaption"]),
+      url: str(data?.URL)
+    };
+    if (extension === PAYMENT_EXTENSION) {
+      const text = str(data?.ldtext) ?? app.caption;
+      const amount = /(?:[$€£¥₹]\s?\d[\d.,]*|\d[\d.,]*\s?(?:[A-Z]{3}|[$€£¥₹]))/.exec(text ?? "")?.[0] ?? null;
+      return { kind: "payment", payment: { amount, text }, app };
+    }
+    return { kind: "app", app };
+  }
+
+  const kind = BUILTIN_KINDS[bundleId];
+  return kind ? { kind } : { kind: "app", app: { name: null, bundleId, caption: null, subcaption: null, url: null } };
+}
+
+/**
+ * Lines describing rich content for the message body
+ */
+export function formatRichContent({ link, location, contacts = [], payment, app, kind } = {}) {
+  const lines = [];
+  if (location) {
+    const at = `${location.latitude}, ${location.longitude}`;
+    lines.push(`[Location: ${location.name ? `${location.name} (${at})` : at}]`);
+  } else if (link && (link.title || link.summary)) {
+    lines.push(`[Link preview: ${[link.title, link.summary].filter(Boolean).join(" - ")}]`);
+  }
+  for (const contact of contacts) {
+    const details = [...contact.phones, ...contact.emails].join(", ");
+    lines.push(`[Contact card: ${contact.name ?? contact.organization ?? "unnamed"}${details ? ` - ${details}` : ""}]`);
+  }
+  if (payment) lines.push(`[Apple Cash: ${payment.amount ?? payment.text ?? "payment"}]`);
+  else if (kind === "app" && app) {
+    const what = [app.caption, app.subcaption].filter(Boolean).join(" - ");
+    lines.push(`[${app.name ?? "App"} message${what ? `: ${what}` : ""}]`);
+  } else if (kind === "handwriting") lines.push("[Handwritten message]");
+  else if (kind === "digital-touch") lines.push("[Digital Touch message]");
+  return lines;
+}
@@ -0,0 +1,140 @@
+/**
+ * Binary property list ("bplist00") reader
+ *
+ * chat.db keeps a few columns as binary plists (message_summary_info,
+ * payload_data, ...). Only reading is needed, into plain JS values:
+ * dict → object, array/set → array, data → Buffer, date → Date,
+ * UID → { uid }. 64-bit integers come back as Numbers.
+ *
+ * These come from other people's devices, so an object referenced from
+ * several places is parsed once and shared, and the total number of
+ * references followed is capped.
+ */
+
+const APPLE_EPOCH_MS = Date.UTC(2001, 0, 1);
+const MAX_DEPTH = 64;
+const MAX_REFERENCES = 100000;
+
+function readUInt(buf, offset, size) {
+  let value = 0;
+  for (let i = 0; i < size; i++) value = value * 256 + buf[offset + i];
+  return value;
+}
+
+export function isBinaryPlist(buf) {
+  return Buffer.isBuffer(buf) && buf.length >= 40 && buf.toString("latin1", 0, 8) === "bplist00";
+}
+
+/**
+ * Parse a binary plist. Throws on malformed input.
+ */
+export function parseBinaryPlist(buf) {
+  if (!isBinaryPlist(buf)) throw new Error("Not a binary plist");
+
+  const trailer = buf.length - 32;
+  const offsetSize = buf[trailer + 6];
+  const refSize = buf[trailer + 7];
+  const numObjects = Number(buf.readBigUInt64BE(trailer + 8));
+  const topObject = Number(buf.readBigUInt64BE(trailer + 16));
+  const offsetTable = Number(buf.readBigUInt64BE(trailer + 24));
+  if (!offsetSize || !refSize || offsetTable + numObjects * offsetSize > trailer) {
+    throw new Error("Corrupt binary plist trailer");
+  }
+
+  const offsetOf = (ref) => {
+    if (ref >= numObjects) throw new Error(`Object reference ${ref} out of range`);
+    return readUInt(buf, offsetTable + ref * offsetSize, offsetSize);
+  };
+
+  // Object length: low nibble, or a following int object when it is 0xF
+  const lengthAt = (offset, info) => {
+    if (info !== 0xF) return { length: info, start: offset + 1 };
+    const marker = buf[offset + 1];
+    if (marker >> 4 !== 0x1) throw new Error("Bad length marker");
+    const size = 1 << (marker & 0xF);
+    return { length: readUInt(buf, offset + 2, size), start: offset + 2 + size };
+  };
+
+  // Refs of a container, checked to lie inside the object area
+  const refsAt = (start, count) => {
+    if (start + count * refSize > offsetTable) throw new Error("Container runs past the object table");
+    return Array.from({ length: count }, (_, i) => readUInt(buf, start + i * refSize, refSize));
+  };
+
+  const parsed = new Map();
+  const parsing = new Set();
+  let followed = 0;
+
+  const readObject = (ref, depth) => {
+    if (++followed > MAX_REFERENCES) throw new Error("Binary plist has too many references");
+    if (parsed.has(ref)) return parsed.get(ref);
+    if (depth > MAX_DEPTH) throw new Error("Binary plist nested too deeply");
+    if (parsing.has(ref)) throw new Error(`Binary plist reference cycle at ${ref}`);
+    parsing.add(ref);
+    const value = parseObject(ref, depth);
+    parsing.delete(ref);
+    parsed.set(ref, value);
+    return value;
+  };
+
+  const parseObject = (ref, depth) => {
+    const offset = offsetOf(ref);
+    const marker = buf[offset];
+    const type = marker >> 4;
+    const info = marker & 0xF;
+
+    switch (type) {
+      case 0x0:
+        if (info === 0x8) return false;
+        if (info === 0x9) return true;
+        return null;
+      case 0x1: {
+        const size = 1 << info;
+        if (size === 8) return Number(buf.readBigInt64BE(offset + 1));
+        if (size > 8) return Number(buf.readBigInt64BE(offset + 1 + size - 8));
+        return readUInt(buf, offset + 1, size);
+      }
+      case 0x2:
+        return info === 2 ? buf.readFloatBE(offset + 1) : buf.readDoubleBE(offset + 1);
+      case 0x3:
+        return new Date(APPLE_EPOCH_MS + buf.readDoubleBE(offset + 1) * 1000);
+      case 0x4: {
+        const { length, start } = lengthAt(offset, info);
+        return buf.subarray(start, start + length);
+      }
+      case 0x5: {
+        const { length, start } = lengthAt(offset, info);
+        return buf.toString("latin1", start, start + length);
+      }
+      case 0x6: {
+        const { length, start } = lengthAt(offset, info);
+        const chars = Buffer.from(buf.subarray(start, start + length * 2));
+        return chars.swap16().toString("utf16le");
+      }
+      case 0x7: {
+        const { length, start } = lengthAt(offset, info);
+        return buf.toString("utf8", start, start + length);
+      }
+      case 0x8:
+        return { uid: readUInt(buf, offset + 1, info + 1) };
+      case 0xA:
+      case 0xC: {
+        const { length, start } = lengthAt(offset, info);
+        return refsAt(start, length).map(item => readObject(item, depth + 1));
+      }
+      case 0xD: {
+        const { length, start } = lengthAt(offset, info);
+        const refs = refsAt(start, length * 2);
+        const dict = {};
+        for (let i = 0; i < length; i++) {
+          dict[String(readObject(refs[i], depth + 1))] = readObject(refs[length + i], depth + 1);
+        }
+        return dict;
+      }
+      default:
+        throw new Error(`Unknown binary plist marker 0x${marker.toString(16)}`);
+    }
+  };
+
+  return readObject(topObject, 0);
+}
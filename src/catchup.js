@@ -0,0 +1,90 @@
+/**
+ * Catch-up policy for backlog after downtime
+ *
+ * Messages older than `maxAgeMs` when we first see them are backlog. What we
+ * do with them depends on the mode:
+ *   replay     - dispatch every message, tagged as delayed (old behaviour)
+ *   skip       - drop them; the next live turn in that chat mentions how many
+ *   summarize  - collapse each chat's backlog into one "while you were away" turn
+ */
+
+export const CATCH_UP_MODES = ["replay", "skip", "summarize"];
+
+// chat.db dates count from 2001-01-01 (nanoseconds since macOS 10.13, seconds before)
+const APPLE_EPOCH_MS = Date.UTC(2001, 0, 1);
+
+export function appleTimestampToMs(date) {
+  if (!date) return null;
+  return APPLE_EPOCH_MS + (date > 1e12 ? date / 1e6 : date * 1000);
+}
+
+/**
+ * Queue an inbound entry under the catch-up policy. `msg` is its chat.db row,
+ * `state` the plugin state that keeps the per-chat skipped counts. Returns
+ * "live" for a message within `maxAgeMs` (or without a date), otherwise the
+ * mode that handled it.
+ */
+export function enqueueWithCatchUp(inbound, state, msg, entry, { mode, maxAgeMs, now = Date.now() }) {
+  const sentAt = appleTimestampToMs(msg.date);
+  if (!sentAt || now - sentAt <= maxAgeMs) {
+    inbound.enqueue(entry);
+    return "live";
+  }
+  if (mode === "skip") {
+    state.skippedBacklog ??= {};
+    const skipped = state.skippedBacklog[entry.chat] ?? { count: 0 };
+    skipped.count++;
+    state.skippedBacklog[entry.chat] = skipped;
+    return "skip";
+  }
+  if (mode === "summarize") {
+    // One collapsed turn per chat, until its first dispatch attempt
+    const pending = inbound.find(e => e.chat === entry.chat && e.catchUp?.mode === "summarize" && e.attempts === 0);
+    if (pending) {
+      pending.catchUp.rowIds.push(msg.ROWID);
+    } else {
+      inbound.enqueue({ ...entry, catchUp: { mode: "summarize", rowIds: [msg.ROWID] } });
+    }
+    return "summarize";
+  }
+  inbound.enqueue({ ...entry, catchUp: { mode: "replay", sentAt } });
+  return "replay";
+}
+
+function formatAge(ms) {
+  const mins = Math.round(ms / 60000);
+  if (mins < 60) return `${mins} min`;
+  const hours = Math.round(mins / 60);
+  return hours < 48 ? `${hours} h` : `${Math.round(hours / 24)} days`;
+}
+
+function formatTime(ms) {
+  return new Date(ms).toISOString().replace("T", " ").slice(0, 16) + " UTC";
+}
+
+/**
+ * Body for a collapsed backlog turn. `entries` are { sender, text, sentAt } oldest first.
+ */
+export function formatCatchUpSummary(entries) {
+  const first = entries[0]?.sentAt;
+  const header = `[While you were away: ${entries.length} message${entries.length === 1 ? "" : "s"}` +
+    (first ? ` since ${formatTime(first)}` : "") + "]";
+  return [header, ...entries.map(e => `${e.sender}: ${e.text}`)].join("\n");
+}
+
+/**
+ * Line telling the agent how backlog was handled for this turn
+ */
+export function catchUpNote(catchUp, now = Date.now()) {
+  if (!catchUp) return "";
+  switch (catchUp.mode) {
+    case "replay":
+      return `[Catch-up (replay): this message was sent ${formatAge(now - catchUp.sentAt)} ago, while the gateway was offline]`;
+    case "skip":
+      return `[Catch-up (skip): ${catchUp.count} older message${catchUp.count === 1 ? " was" : "s were"} skipped while the gateway was offline]`;
+    case "summarize":
+      return `[Catch-up (summarize): ${catchUp.count} message${catchUp.count === 1 ? "" : "s"} received while the gateway was offline, collapsed into this turn]`;
+    default:
+      return "";
+  }
+}
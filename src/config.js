@@ -0,0 +1,146 @@
+/**
+ * Account configuration for channels.imessage-legacy
+ *
+ * Settings at the top level apply to every account. With an `accounts` map,
+ * each entry overrides them for one account - typically its own chat.db,
+ * allowlist, state file and instance lock:
+ *
+ *   channels:
+ *     imessage-legacy:
+ *       enabled: true
+ *       allowFrom: ["+15551234567"]
+ *       accounts:
+ *         default: {}
+ *         work:
+ *           homeDir: /Users/work
+ *           allowFrom: ["+15557654321"]
+ *
+ * Every path defaults to its usual place under `homeDir` (the current user's
+ * home directory unless set); plugin files live in ~/.openclaw, with the
+ * account id in the name for accounts other than "default".
+ */
+
+import * as os from "os";
+import * as path from "path";
+import { DEFAULT_MEDIA_TYPES } from "./media.js";
+import { DEFAULT_ATTACHMENT_LIMITS, DEFAULT_CONVERSIONS } from "./attachments.js";
+
+export const CHANNEL_ID = "imessage-legacy";
+export const DEFAULT_ACCOUNT_ID = "default";
+
+function channelConfig(cfg) {
+  return cfg?.channels?.[CHANNEL_ID] ?? {};
+}
+
+/**
+ * Expand a leading `~/` against the given home directory
+ */
+export function expandHome(p, homeDir = os.homedir()) {
+  if (!p) return p;
+  if (p === "~") return homeDir;
+  if (p.startsWith("~/")) return path.join(homeDir, p.slice(2));
+  return p;
+}
+
+export function listAccountIds(cfg) {
+  const c = channelConfig(cfg);
+  if (!c.enabled) return [];
+  if (!c.accounts || Object.keys(c.accounts).length === 0) return [DEFAULT_ACCOUNT_ID];
+  return Object.entries(c.accounts)
+    .filter(([, a]) => a?.enabled !== false)
+    .map(([id]) => id);
+}
+
+export function defaultAccountId(cfg) {
+  const ids = listAccountIds(cfg);
+  return ids.includes(DEFAULT_ACCOUNT_ID) || ids.length === 0 ? DEFAULT_ACCOUNT_ID : ids[0];
+}
+
+/**
+ * File names for plugin-owned state, namespaced per account
+ */
+function pluginFile(base, ext, accountId) {
+  const suffix = accountId === DEFAULT_ACCOUNT_ID ? "" : `-${accountId}`;
+  return path.join(os.homedir(), ".openclaw", `${base}${suffix}${ext}`);
+}
+
+/**
+ * Resolve every filesystem path an account uses
+ */
+export function resolvePaths(c, accountId) {
+  const homeDir = expandHome(c.homeDir) || os.homedir();
+  const p = (value, fallback) => expandHome(value, homeDir) || fallback;
+  return {
+    homeDir,
+    chatDbPath: p(c.chatDbPath, path.join(homeDir, "Library/Messages/chat.db")),
+    addressBookDir: p(c.addressBookDir, path.join(homeDir, "Library/Application Support/AddressBook/Sources")),
+    stateFile: p(c.stateFile, pluginFile("imessage-legacy-state", ".json", accountId)),
+    instanceFile: p(c.instanceFile, pluginFile("imessage-active-instance", "", accountId)),
+    pairingFile: p(c.pairingFile, pluginFile("imessage-legacy-pairing", ".json", accountId)),
+    controlFile: p(c.controlFile, pluginFile("imessage-legacy-control", ".json", accountId)),
+    transportFile: p(c.transportFile, pluginFile("imessage-legacy-outbound", ".jsonl", accountId)),
+    // Somewhere Messages.app is allowed to read attachments from
+    mediaCacheDir: p(c.mediaCacheDir, path.join(homeDir, "Pictures/imessage-legacy-media")),
+    attachmentCacheDir: p(c.attachmentCacheDir, pluginFile("imessage-legacy-attachments", "", accountId))
+  };
+}
+
+export function resolveAccount(cfg, accountId = DEFAULT_ACCOUNT_ID) {
+  const { accounts, ...base } = channelConfig(cfg);
+  const own = accounts?.[accountId];
+  const c = { ...base, ...own };
+  const enabled = listAccountIds(cfg).includes(accountId);
+
+  return { accountId, enabled, configured: enabled,
+    config: {
+      paths: resolvePaths(c, accountId),
+      pollIntervalMs: c.pollIntervalMs ?? 1000,
+      ingestMode: c.ingestMode ?? "watch",
+      fallbackPollIntervalMs: c.fallbackPollIntervalMs ?? 10000,
+      dmPolicy: c.dmPolicy ?? "allowlist",
+      allowFrom: c.allowFrom ?? [],
+      defaultCountry: c.defaultCountry ?? "US",
+      identities: c.identities ?? {},
+      owners: c.owners ?? c.ownerNumbers ?? [],
+      pairingCodeTtlMs: c.pairingCodeTtlMs ?? 60 * 60 * 1000,
+      inboundMaxAttempts: c.inboundMaxAttempts ?? 5,
+      inboundRetryBaseMs: c.inboundRetryBaseMs ?? 2000,
+      sendMaxAttempts: c.sendMaxAttempts ?? 3,
+      sendRetryBaseMs: c.sendRetryBaseMs ?? 1000,
+      sendIntervalMs: c.sendIntervalMs ?? 300,
+      sendPerChatIntervalMs: c.sendPerChatIntervalMs ?? 1000,
+      trackReceipts: c.trackReceipts ?? true,
+      transport: c.transport ?? "applescript",
+      scriptWorker: c.scriptWorker ?? true,
+      mediaMaxBytes: c.mediaMaxBytes ?? 25 * 1024 * 1024,
+      mediaTypes: c.mediaTypes ?? DEFAULT_MEDIA_TYPES,
+      mediaCacheTtlMs: c.mediaCacheTtlMs ?? 24 * 60 * 60 * 1000,
+      receiptEvents: c.receiptEvents ?? ["failed"],
+      backfill: {
+        messages: c.backfill?.messages ?? 0,
+        hours: c.backfill?.hours ?? 0
+      },
+      catchUp: {
+        mode: c.catchUp?.mode ?? "replay",
+        maxAgeMs: c.catchUp?.maxAgeMs ?? 10 * 60 * 1000
+      },
+      attachments: {
+        waitMs: c.attachments?.waitMs ?? 2 * 60 * 1000,
+        conversions: c.attachments?.conversions ?? DEFAULT_CONVERSIONS,
+        maxBytes: { ...DEFAULT_ATTACHMENT_LIMITS, ...c.attachments?.maxBytes },
+        downscaleAboveBytes: c.attachments?.downscaleAboveBytes ?? 5 * 1024 * 1024,
+        maxDimension: c.attachments?.maxDimension ?? 2048
+      },
+      includeTapbacks: c.includeTapbacks ?? true,
+      includeEdits: c.includeEdits ?? true,
+      includeRetractions: c.includeRetractions ?? true,
+      resolveContactNames: c.resolveContactNames ?? true,
+      groupPolicy: c.groupPolicy ?? "allowlist",
+      groups: c.groups ?? {},
+      mentionKeywords: c.mentionKeywords ?? [],
+      selfHandles: c.selfHandles ?? [],
+      dmScope: c.dmScope ?? "per-sender",
+      routes: c.routes ?? []
+    }
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Contacts index
+ *
+ * Reads every AddressBook source (iCloud, local, Exchange, ...) into one
+ * in-memory map from normalized phone number / lowercased email address to
+ * the contact's name. The databases are only open while the index is built;
+ * it is rebuilt when any of the files change.
+ */
+
+import Database from "better-sqlite3";
+import * as fs from "fs";
+import * as path from "path";
+
+const DB_NAME = "AddressBook-v22.abcddb";
+// How often to look at the files' mtimes for changes
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+export function isEmailHandle(handle) {
+  return typeof handle === "string" && handle.includes("@");
+}
+
+/**
+ * AddressBook databases under a Sources directory, plus the top-level one next to it
+ */
+export function findAddressBooks(sourcesDir) {
+  const found = [];
+  const topLevel = path.join(path.dirname(sourcesDir), DB_NAME);
+  if (fs.existsSync(topLevel)) found.push(topLevel);
+  try {
+    for (const source of fs.readdirSync(sourcesDir)) {
+      const dbPath = path.join(sourcesDir, source, DB_NAME);
+      if (fs.existsSync(dbPath)) found.push(dbPath);
+    }
+  } catch {}
+  return found;
+}
+
+// Changes when any database (or its write-ahead log) is added, removed or written
+function filesSignature(files) {
+  return files.map(file => {
+    const stamp = (p) => {
+      try {
+        const st = fs.statSync(p);
+        return `${st.mtimeMs}:${st.size}`;
+      } catch {
+        return "-";
+      }
+    };
+    return `${file}@${stamp(file)}/${stamp(file + "-wal")}`;
+  }).join("|");
+}
+
+export function displayName(record) {
+  const full = [record.ZFIRSTNAME, record.ZLASTNAME].filter(Boolean).join(" ");
+  return full || record.ZNICKNAME || record.ZORGANIZATION || null;
+}
+
+function tableColumns(db, table) {
+  return new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+}
+
+/**
+ * Read one AddressBook database into `entries` (key → { name, nickname })
+ */
+function readAddressBook(dbPath, entries, { normalize }) {
+  const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+  try {
+    const recordCols = tableColumns(db, "ZABCDRECORD");
+    const nickname = recordCols.has("ZNICKNAME") ? "r.ZNICKNAME" : "NULL AS ZNICKNAME";
+    const select = (table, column) => db.prepare(`
+      SELECT x.${column} AS handle, r.ZFIRSTNAME, r.ZLASTNAME, r.ZORGANIZATION, ${nickname}
+      FROM ${table} x
+      JOIN ZABCDRECORD r ON x.ZOWNER = r.Z_PK
+    `).all();
+
+    const add = (key, row) => {
+      const name = displayName(row);
+      if (!key || !name || entries.has(key)) return;
+      entries.set(key, { name, nickname: row.ZNICKNAME || null });
+    };
+
+    if (tableColumns(db, "ZABCDPHONENUMBER").has("ZFULLNUMBER")) {
+      for (const row of select("ZABCDPHONENUMBER", "ZFULLNUMBER")) add(normalize(row.handle), row);
+    }
+    if (tableColumns(db, "ZABCDEMAILADDRESS").has("ZADDRESS")) {
+      for (const row of select("ZABCDEMAILADDRESS", "ZADDRESS")) add(row.handle?.trim().toLowerCase(), row);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * `normalize` turns a phone number into the same form chat.db handles are compared in.
+ * `lookup(handle)` returns { name, nickname } or null.
+ */
+export function createContactsIndex(sourcesDir, { normalize, log, checkIntervalMs = CHECK_INTERVAL_MS } = {}) {
+  let entries = null;
+  let signature = null;
+  let checkedAt = 0;
+
+  const keyOf = (handle) => isEmailHandle(handle) ? handle.trim().toLowerCase() : normalize(handle);
+
+  const build = (files, nextSignature) => {
+    const next = new Map();
+    for (const file of files) {
+      try {
+        readAddressBook(file, next, { normalize });
+      } catch (e) {
+        log?.debug?.(`[iMessage] Cannot read contacts from ${file}: ${e.message}`);
+      }
+    }
+    entries = next;
+    signature = nextSignature;
+    log?.debug?.(`[iMessage] Contacts index: ${next.size} handles from ${files.length} sources`);
+  };
+
+  const refresh = (now = Date.now()) => {
+    if (entries && now - checkedAt < checkIntervalMs) return;
+    checkedAt = now;
+    const files = findAddressBooks(sourcesDir);
+    const nextSignature = filesSignature(files);
+    if (!entries || nextSignature !== signature) build(files, nextSignature);
+  };
+
+  return {
+    lookup(handle) {
+      if (!handle) return null;
+      refresh();
+      return entries.get(keyOf(handle)) ?? null;
+    },
+
+    size() {
+      refresh();
+      return entries.size;
+    },
+
+    clear() {
+      entries = null;
+      signature = null;
+    }
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * Owner control commands
+ *
+ * Owners steer the plugin from their own iMessage thread:
+ *   /pause, /resume            stop and restart dispatching (commands still work)
+ *   /status                    what the account is doing
+ *   /allow <handle>            let a handle in, on top of `allowFrom`
+ *   /block <handle>            drop everything from a handle
+ *   /mute <group> <duration>   groups don't start turns until then; "off" unmutes
+ *   /sessions                  sessions that recently had a turn
+ * The resulting state is persisted so it survives gateway restarts.
+ */
+
+import { writeJsonAtomic, readJson } from "./state.js";
+
+export const CONTROL_COMMANDS = ["pause", "resume", "status", "allow", "block", "mute", "sessions"];
+
+const USAGE = {
+  allow: "/allow <handle>",
+  block: "/block <handle>",
+  mute: "/mute <group> <duration, e.g. 30m, 2h, 1d or off>"
+};
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+const MAX_SESSIONS = 20;
+
+/**
+ * Milliseconds for "90s", "30m", "2h", "1d" or "1w", or null
+ */
+export function parseDuration(text) {
+  const m = /^(\d+)\s*([smhdw])$/i.exec(String(text ?? "").trim());
+  if (!m || Number(m[1]) === 0) return null;
+  return Number(m[1]) * UNITS[m[2].toLowerCase()];
+}
+
+/**
+ * "1d 2h", "45m", "30s" - the two largest units
+ */
+export function formatDuration(ms) {
+  const parts = [];
+  let rest = Math.max(0, Math.round(ms / 1000)) * 1000;
+  for (const unit of ["d", "h", "m", "s"]) {
+    const n = Math.floor(rest / UNITS[unit]);
+    if (n > 0) parts.push(`${n}${unit}`);
+    rest -= n * UNITS[unit];
+  }
+  return parts.slice(0, 2).join(" ") || "0s";
+}
+
+/**
+ * Parse a control command. Returns null for anything else, otherwise
+ * { name, handle?, group?, durationMs? } - with `usage` set instead when
+ * the arguments don't fit. `durationMs` is null for "/mute <group> off".
+ */
+export function parseControlCommand(text) {
+  const m = /^\s*\/([a-z]+)(?:\s+([\s\S]*?))?\s*$/i.exec(text ?? "");
+  if (!m) return null;
+  const name = m[1].toLowerCase();
+  if (!CONTROL_COMMANDS.includes(name)) return null;
+  const args = m[2] ?? "";
+
+  switch (name) {
+    case "allow":
+    case "block":
+      return args ? { name, handle: args } : { name, usage: USAGE[name] };
+    case "mute": {
+      // The group name may contain spaces; the duration is the last word
+      const split = /^(.+?)\s+(\S+)$/.exec(args);
+      if (!split) return { name, usage: USAGE.mute };
+      if (split[2].toLowerCase() === "off") return { name, group: split[1], durationMs: null };
+      const durationMs = parseDuration(split[2]);
+      return durationMs ? { name, group: split[1], durationMs } : { name, usage: USAGE.mute };
+    }
+    default:
+      return args ? { name, usage: `/${name}` } : { name };
+  }
+}
+
+/**
+ * Owners from the account config. Owners approve pairing requests and run
+ * control and OpenClaw commands, so being allowed to talk to the agent isn't
+ * enough: there is no fallback to `allowFrom`, and "*" is ignored.
+ */
+export function configuredOwners(owners) {
+  return [].concat(owners ?? []).filter(o => o && o !== "*");
+}
+
+/**
+ * Create a control store backed by a JSON file.
+ * `normalize` maps a handle to the key it is stored under.
+ */
+export function createControlStore(filePath, { normalize = (h) => h, log } = {}) {
+  const loaded = readJson(filePath, {}, log);
+  const data = {
+    paused: loaded.paused ?? null,
+    allowed: loaded.allowed ?? {},
+    blocked: loaded.blocked ?? {},
+    muted: loaded.muted ?? {},
+    sessions: loaded.sessions ?? {}
+  };
+
+  const save = () => {
+    try {
+      writeJsonAtomic(filePath, data);
+    } catch (e) {
+      log?.error?.(`[iMessage] Cannot write control state: ${e.message}`);
+    }
+  };
+
+  const key = (handle) => normalize(handle) || handle;
+
+  const pruneMutes = (now = Date.now()) => {
+    let changed = false;
+    for (const [chatId, entry] of Object.entries(data.muted)) {
+      if (entry.until <= now) {
+        delete data.muted[chatId];
+        changed = true;
+      }
+    }
+    return changed;
+  };
+
+  const isMuted = (chatId, now = Date.now()) => {
+    const entry = data.muted[chatId];
+    if (!entry) return false;
+    if (entry.until > now) return true;
+    if (pruneMutes(now)) save();
+    return false;
+  };
+
+  return {
+    paused: () => data.paused,
+
+    setPaused(paused, by) {
+      data.paused = paused ? { by, at: Date.now() } : null;
+      save();
+    },
+
+    isAllowed: (handle) => Boolean(handle) && Boolean(data.allowed[key(handle)]),
+    isBlocked: (handle) => Boolean(handle) && Boolean(data.blocked[key(handle)]),
+
+    /**
+     * Allow or block a handle; each undoes the other. Returns the stored key.
+     */
+    allow(handle, by) {
+      const k = key(handle);
+      data.allowed[k] = { by, at: Date.now() };
+      delete data.blocked[k];
+      save();
+      return k;
+    },
+
+    block(handle, by) {
+      const k = key(handle);
+      data.blocked[k] = { by, at: Date.now() };
+      delete data.allowed[k];
+      save();
+      return k;
+    },
+
+    /**
+     * Mute a group until `until`, or unmute it when `until` is null
+     */
+    mute(chatId, until, { name = null, by } = {}) {
+      if (until) {
+        data.muted[chatId] = { name, until, by };
+      } else {
+        delete data.muted[chatId];
+      }
+      save();
+    },
+
+    isMuted,
+
+    /**
+     * "paused" or "muted" when nothing from the group should reach the agent, else null
+     */
+    quietFor(chatId, now = Date.now()) {
+      if (data.paused) return "paused";
+      return isMuted(chatId, now) ? "muted" : null;
+    },
+
+    mutes(now = Date.now()) {
+      if (pruneMutes(now)) save();
+      return Object.entries(data.muted).map(([chatId, entry]) => ({ chatId, ...entry }));
+    },
+
+    /**
+     * Remember that a session had a turn; only the most recent few are kept
+     */
+    touchSession(sessionKey, label) {
+      data.sessions[sessionKey] = { label, at: Date.now() };
+      const keys = Object.keys(data.sessions);
+      if (keys.length > MAX_SESSIONS) {
+        keys.sort((a, b) => data.sessions[a].at - data.sessions[b].at);
+        for (const k of keys.slice(0, keys.length - MAX_SESSIONS)) delete data.sessions[k];
+      }
+      save();
+    },
+
+    sessions: () => Object.entries(data.sessions)
+      .map(([sessionKey, entry]) => ({ sessionKey, ...entry }))
+      .sort((a, b) => b.at - a.at),
+
+    counts: () => ({ allowed: Object.keys(data.allowed).length, blocked: Object.keys(data.blocked).length })
+  };
+}
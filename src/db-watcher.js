@@ -0,0 +1,62 @@
+/**
+ * chat.db change notifications
+ *
+ * Messages.app writes new rows to `chat.db-wal` (and checkpoints them into
+ * `chat.db`), so watching both tells us when there is something to read.
+ * The directory is watched rather than the files, because the WAL is
+ * deleted and recreated. Bursts of writes are debounced into one callback.
+ *
+ * Watch events can be dropped (sleep, FSEvents coalescing, network home
+ * directories), so ingestion still polls as a safety net: quickly right after
+ * activity, backing off while the database is idle.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+
+export const INGEST_MODES = ["watch", "poll"];
+
+const DEBOUNCE_MS = 100;
+
+/**
+ * Delay before the next safety-net poll: `minMs` after activity, then
+ * doubling up to `maxMs` while nothing happens
+ */
+export function nextPollDelay(previousMs, { active, minMs, maxMs }) {
+  if (active || !previousMs) return minMs;
+  return Math.min(previousMs * 2, Math.max(minMs, maxMs));
+}
+
+/**
+ * Call `onChange` (debounced) whenever `chatDbPath` or its WAL is written.
+ * Returns { close() }; throws if the directory can't be watched, and calls
+ * `onError` if the watch breaks later.
+ */
+export function watchChatDb(chatDbPath, { onChange, onError, debounceMs = DEBOUNCE_MS, watch = fs.watch, log } = {}) {
+  const dir = path.dirname(chatDbPath);
+  const base = path.basename(chatDbPath);
+  const relevant = new Set([base, `${base}-wal`]);
+  let timer = null;
+
+  const watcher = watch(dir, { persistent: false }, (_event, filename) => {
+    // Some platforms don't report the file name; treat that as a change
+    if (filename && !relevant.has(String(filename))) return;
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      onChange();
+    }, debounceMs);
+  });
+  watcher.on?.("error", (err) => {
+    log?.warn?.(`[iMessage] Watching ${dir} failed: ${err.message}`);
+    onError?.(err);
+  });
+
+  return {
+    close() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      watcher.close();
+    }
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * Edited and unsent (retracted) messages
+ *
+ * Since iOS 16 / macOS 13 a message can be edited or unsent after it was
+ * sent. Neither adds a row: the original row gets `date_edited` or
+ * `date_retracted` set, its text is replaced (or cleared), and the history
+ * lands in `message_summary_info`, a binary plist:
+ *   ec  - edited content: { "<part>": [{ d: date, t: attributedBody }, ...] }, oldest first
+ *   rp  - retracted parts: [<part>, ...]
+ */
+
+import { parseBinaryPlist, isBinaryPlist } from "./bplist.js";
+import { decodeAttributedBody, visibleText } from "./typedstream.js";
+
+function decodeText(blob) {
+  if (!blob) return "";
+  try {
+    return visibleText(decodeAttributedBody(Buffer.from(blob))?.text);
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Read message_summary_info. Returns { edits: { part: [text, ...] }, retractedParts } or null.
+ */
+export function parseSummaryInfo(blob) {
+  if (!isBinaryPlist(blob)) return null;
+  let info;
+  try {
+    info = parseBinaryPlist(blob);
+  } catch {
+    return null;
+  }
+  if (!info || typeof info !== "object") return null;
+
+  const edits = {};
+  for (const [part, events] of Object.entries(info.ec ?? {})) {
+    if (Array.isArray(events)) edits[part] = events.map(e => decodeText(e?.t));
+  }
+  const retractedParts = Array.isArray(info.rp) ? info.rp.map(Number) : [];
+  return { edits, retractedParts };
+}
+
+/**
+ * The latest change to a row: { kind: "edit" | "retract", at, previousText, text }, or null.
+ * `currentText` is the row's decoded text as it is now.
+ */
+export function describeChange(row, currentText) {
+  const summary = parseSummaryInfo(row.message_summary_info);
+  const parts = Object.keys(summary?.edits ?? {}).sort((a, b) => Number(a) - Number(b));
+
+  if (row.date_retracted) {
+    // Only an edited-then-unsent message leaves its last text behind
+    const previousText = parts.map(p => summary.edits[p].at(-1)).filter(Boolean).join("\n") || null;
+    return { kind: "retract", at: row.date_retracted, previousText, text: "" };
+  }
+
+  if (row.date_edited) {
+    const previousText = parts.map(p => summary.edits[p].at(-2)).filter(Boolean).join("\n") || null;
+    const edited = parts.map(p => summary.edits[p].at(-1)).filter(Boolean).join("\n");
+    return { kind: "edit", at: row.date_edited, previousText, text: currentText || edited };
+  }
+
+  return null;
+}
+
+/**
+ * Body line for an edit or retraction turn
+ */
+export function formatChange(change) {
+  if (change.kind === "retract") {
+    return change.previousText ? `[Unsent a message: "${change.previousText}"]` : "[Unsent a message]";
+  }
+  const was = change.previousText ? ` (was: "${change.previousText}")` : "";
+  return `[Edited a message${was}]\n${change.text}`;
+}
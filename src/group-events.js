@@ -0,0 +1,115 @@
+/**
+ * Group membership and rename events
+ *
+ * chat.db records group changes as message rows with a non-zero `item_type`:
+ *   item_type 1  group_action_type 0  actor added `other_handle`
+ *                group_action_type 1  actor removed `other_handle`
+ *   item_type 2                       actor renamed the group to `group_title`
+ *   item_type 3  group_action_type 0  actor left
+ *                group_action_type 1  actor changed the group photo
+ *                group_action_type 2  actor removed the group photo
+ * The actor is the row's handle, or the account owner when `is_from_me`.
+ *
+ * The group directory keeps each group's current name and participants,
+ * read from `chat` / `chat_handle_join` and re-read after an event, and
+ * finds groups by identifier or name for owner commands.
+ */
+
+/**
+ * Structured event for a row: { kind, actor, target, title }, or null when it isn't a group event.
+ * `actor` is null when the owner did it.
+ */
+export function parseGroupEvent(row) {
+  const actor = row.is_from_me ? null : (row.sender ?? null);
+  const action = row.group_action_type ?? 0;
+  switch (row.item_type) {
+    case 1:
+      if (action !== 0 && action !== 1) return null;
+      return { kind: action === 0 ? "added" : "removed", actor, target: row.other_handle_id ?? null, title: null };
+    case 2:
+      return { kind: "renamed", actor, target: null, title: row.group_title || null };
+    case 3:
+      if (action === 0) return { kind: "left", actor, target: null, title: null };
+      if (action === 1) return { kind: "photo-changed", actor, target: null, title: null };
+      if (action === 2) return { kind: "photo-removed", actor, target: null, title: null };
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * One line for the group's session, e.g. `Alice added Bob to "Family"`.
+ * `nameFor(handle)` resolves contact names.
+ */
+export function formatGroupEvent(event, { groupName, nameFor = () => null } = {}) {
+  const who = (handle) => handle ? (nameFor(handle) || handle) : "You";
+  const actor = who(event.actor);
+  const group = groupName ? `"${groupName}"` : "the group";
+  switch (event.kind) {
+    case "added": return `${actor} added ${who(event.target)} to ${group}`;
+    case "removed": return `${actor} removed ${who(event.target)} from ${group}`;
+    case "left": return `${actor} left ${group}`;
+    case "renamed": return event.title ? `${actor} renamed the group to "${event.title}"` : `${actor} removed the group's name`;
+    case "photo-changed": return `${actor} changed the photo of ${group}`;
+    case "photo-removed": return `${actor} removed the photo of ${group}`;
+    default: return `${actor} changed ${group}`;
+  }
+}
+
+/**
+ * Label for a group: its name, or its members' names like Messages shows them
+ */
+export function groupLabel({ name, participants = [] }, nameFor = () => null) {
+  if (name) return name;
+  const names = participants.map(h => nameFor(h) || h);
+  if (names.length === 0) return null;
+  if (names.length <= 3) return names.join(", ");
+  return `${names.slice(0, 3).join(", ")} +${names.length - 3}`;
+}
+
+/**
+ * Current name and participants per group chat_identifier, cached until `refresh`
+ */
+export function createGroupDirectory(db, schema) {
+  const cache = new Map();
+  const hasMembers = schema.has("chat_handle_join", "chat_id") && schema.has("chat_handle_join", "handle_id");
+  const nameQuery = db.prepare(`SELECT ${schema.col("c", "chat", "display_name")} FROM chat c WHERE c.chat_identifier = ? LIMIT 1`);
+  const membersQuery = hasMembers ? db.prepare(`
+    SELECT DISTINCT h.id FROM chat c
+    JOIN chat_handle_join chj ON chj.chat_id = c.ROWID
+    JOIN handle h ON chj.handle_id = h.ROWID
+    WHERE c.chat_identifier = ?
+    ORDER BY h.ROWID
+  `) : null;
+
+  const load = (chatId) => {
+    const entry = {
+      name: nameQuery.get(chatId)?.display_name || null,
+      participants: membersQuery ? membersQuery.all(chatId).map(r => r.id) : []
+    };
+    cache.set(chatId, entry);
+    return entry;
+  };
+
+  // Older chat.db files have no group names; the identifier still works there
+  const byName = schema.has("chat", "display_name");
+  const findQuery = db.prepare(`
+    SELECT DISTINCT c.chat_identifier, ${schema.col("c", "chat", "display_name")} FROM chat c
+    WHERE c.chat_identifier LIKE 'chat%' AND (c.chat_identifier = ?${byName ? " OR c.display_name = ? COLLATE NOCASE" : ""})
+  `);
+
+  return {
+    get: (chatId) => cache.get(chatId) ?? load(chatId),
+    refresh: (chatId) => load(chatId),
+    clear: () => cache.clear(),
+
+    /**
+     * Group chats whose chat_identifier or name is `query`: [{ chatId, name }]
+     */
+    find(query) {
+      const rows = findQuery.all(...(byName ? [query, query] : [query]));
+      return rows.map(r => ({ chatId: r.chat_identifier, name: r.display_name || null }));
+    }
+  };
+}
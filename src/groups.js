@@ -0,0 +1,106 @@
+/**
+ * Per-group policy and mention/keyword gating
+ *
+ * `groups` is keyed by chat_identifier (`chat123…`) or group display name,
+ * with `"*"` as the fallback for groups that aren't listed:
+ *
+ *   groups:
+ *     "*":      { requireMention: true }
+ *     Family:   { allow: true, keywords: ["jimmy"], recordContext: true }
+ *     chat123:  { allow: false }
+ *     Work:     { allowFrom: ["+15551234567"] }
+ */
+
+export const GROUP_POLICIES = ["allowlist", "open", "disabled"];
+
+const DEFAULT_HISTORY_LIMIT = 20;
+
+function sameText(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Find the settings for a group: exact chat_identifier, then display name, then "*"
+ */
+export function resolveGroupConfig(groups, { chatId, groupName }) {
+  if (!groups) return {};
+  if (chatId && groups[chatId]) return { ...groups["*"], ...groups[chatId] };
+  if (groupName) {
+    const key = Object.keys(groups).find(k => k !== "*" && sameText(k, groupName));
+    if (key) return { ...groups["*"], ...groups[key] };
+  }
+  return { ...groups["*"] };
+}
+
+/**
+ * Whether text contains a keyword as a whole word (case-insensitive)
+ */
+export function matchesKeyword(text, keywords) {
+  if (!text || !keywords?.length) return null;
+  for (const kw of keywords) {
+    if (!kw) continue;
+    const re = new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(kw)}($|[^\\p{L}\\p{N}_])`, "iu");
+    if (re.test(text)) return kw;
+  }
+  return null;
+}
+
+/**
+ * Decide whether a group message should trigger a reply.
+ * Returns { triggered, reason }.
+ *
+ * A message triggers when the group doesn't require a mention, when it is a
+ * quote-reply to one of our own messages, when an @mention targets one of
+ * `selfHandles` or names a keyword, or when the text contains a keyword.
+ */
+export function checkGroupTrigger(groupCfg, { text, mentions = [], isReplyToSelf = false }, { keywords = [], selfHandles = [], normalize = (h) => h } = {}) {
+  if (!groupCfg.requireMention) return { triggered: true, reason: "always" };
+  const words = groupCfg.keywords ?? keywords;
+
+  if (isReplyToSelf) return { triggered: true, reason: "reply" };
+
+  const selfKeys = new Set(selfHandles.map(h => normalize(h) || h));
+  for (const m of mentions) {
+    if (selfKeys.has(normalize(m.handle) || m.handle)) return { triggered: true, reason: "mention" };
+    if (matchesKeyword(m.text?.replace(/^@/, ""), words)) return { triggered: true, reason: "mention" };
+  }
+
+  const kw = matchesKeyword(text, words);
+  if (kw) return { triggered: true, reason: `keyword:${kw}` };
+  return { triggered: false, reason: null };
+}
+
+/**
+ * In-memory record of non-triggering group messages, handed to the agent
+ * as context on the next triggered turn
+ */
+export function createGroupHistory() {
+  const byChat = new Map();
+  return {
+    record(chatId, entry, limit = DEFAULT_HISTORY_LIMIT) {
+      const list = byChat.get(chatId) ?? [];
+      list.push(entry);
+      while (list.length > limit) list.shift();
+      byChat.set(chatId, list);
+    },
+    take(chatId) {
+      const list = byChat.get(chatId) ?? [];
+      byChat.delete(chatId);
+      return list;
+    },
+    clear: () => byChat.clear()
+  };
+}
+
+/**
+ * Format recorded group history as a context block
+ */
+export function formatGroupHistory(entries) {
+  if (!entries.length) return "";
+  const lines = entries.map(e => `${e.sender}: ${e.text}`);
+  return `[Recent messages in this group]\n${lines.join("\n")}\n[End of recent messages]`;
+}
@@ -0,0 +1,165 @@
+/**
+ * Handle normalization and identities
+ *
+ * iMessage handles are phone numbers or Apple ID emails. Phone numbers are
+ * brought to E.164 using a default country for numbers written nationally
+ * ("07700 900123" in GB, "(555) 123-4567" in the US). Emails are only
+ * trimmed and lowercased.
+ *
+ * `identities` groups several handles of one person under a name, e.g.
+ *   identities:
+ *     alice: ["+15551234567", "alice@icloud.com"]
+ * so allowlists, routing and DM sessions treat them as one sender.
+ */
+
+export const DEFAULT_COUNTRY = "US";
+
+// Calling code, national trunk prefix, international dialling prefix, and the
+// shortest and longest national number (without the trunk prefix)
+const REGIONS = {
+  US: { code: "1", trunk: "1", intl: "011", nsn: [10, 10] },
+  CA: { code: "1", trunk: "1", intl: "011", nsn: [10, 10] },
+  GB: { code: "44", trunk: "0", nsn: [9, 10] },
+  IE: { code: "353", trunk: "0", nsn: [7, 9] },
+  DE: { code: "49", trunk: "0", nsn: [6, 13] },
+  FR: { code: "33", trunk: "0", nsn: [9, 9] },
+  ES: { code: "34", trunk: "", nsn: [9, 9] },
+  IT: { code: "39", trunk: "", nsn: [6, 11] },
+  PT: { code: "351", trunk: "", nsn: [9, 9] },
+  NL: { code: "31", trunk: "0", nsn: [9, 9] },
+  BE: { code: "32", trunk: "0", nsn: [8, 9] },
+  LU: { code: "352", trunk: "", nsn: [4, 11] },
+  CH: { code: "41", trunk: "0", nsn: [9, 9] },
+  AT: { code: "43", trunk: "0", nsn: [4, 13] },
+  SE: { code: "46", trunk: "0", nsn: [7, 10] },
+  NO: { code: "47", trunk: "", nsn: [8, 8] },
+  DK: { code: "45", trunk: "", nsn: [8, 8] },
+  FI: { code: "358", trunk: "0", nsn: [5, 12] },
+  PL: { code: "48", trunk: "", nsn: [9, 9] },
+  CZ: { code: "420", trunk: "", nsn: [9, 9] },
+  GR: { code: "30", trunk: "", nsn: [10, 10] },
+  TR: { code: "90", trunk: "0", nsn: [10, 10] },
+  RU: { code: "7", trunk: "8", intl: "810", nsn: [10, 10] },
+  UA: { code: "380", trunk: "0", nsn: [9, 9] },
+  IL: { code: "972", trunk: "0", nsn: [8, 9] },
+  AE: { code: "971", trunk: "0", nsn: [8, 9] },
+  SA: { code: "966", trunk: "0", nsn: [8, 9] },
+  IN: { code: "91", trunk: "0", nsn: [10, 10] },
+  PK: { code: "92", trunk: "0", nsn: [9, 10] },
+  CN: { code: "86", trunk: "0", nsn: [8, 11] },
+  HK: { code: "852", trunk: "", nsn: [8, 8] },
+  SG: { code: "65", trunk: "", nsn: [8, 8] },
+  JP: { code: "81", trunk: "0", intl: "010", nsn: [9, 10] },
+  KR: { code: "82", trunk: "0", nsn: [8, 10] },
+  TW: { code: "886", trunk: "0", nsn: [8, 9] },
+  TH: { code: "66", trunk: "0", nsn: [8, 9] },
+  PH: { code: "63", trunk: "0", nsn: [8, 10] },
+  ID: { code: "62", trunk: "0", nsn: [8, 12] },
+  MY: { code: "60", trunk: "0", nsn: [8, 10] },
+  VN: { code: "84", trunk: "0", nsn: [9, 10] },
+  AU: { code: "61", trunk: "0", intl: "0011", nsn: [9, 9] },
+  NZ: { code: "64", trunk: "0", nsn: [8, 10] },
+  ZA: { code: "27", trunk: "0", nsn: [9, 9] },
+  NG: { code: "234", trunk: "0", nsn: [8, 10] },
+  EG: { code: "20", trunk: "0", nsn: [8, 10] },
+  KE: { code: "254", trunk: "0", nsn: [9, 9] },
+  BR: { code: "55", trunk: "0", nsn: [10, 11] },
+  MX: { code: "52", trunk: "", nsn: [10, 10] },
+  AR: { code: "54", trunk: "0", nsn: [10, 11] },
+  CL: { code: "56", trunk: "", nsn: [9, 9] },
+  CO: { code: "57", trunk: "", nsn: [10, 10] },
+  PE: { code: "51", trunk: "", nsn: [8, 9] }
+};
+
+// SMS short codes are dialled as-is
+const SHORT_CODE_MAX_DIGITS = 6;
+
+export function isSupportedCountry(country) {
+  return Boolean(REGIONS[String(country).toUpperCase()]);
+}
+
+/**
+ * Normalize a handle: E.164 for phone numbers, lowercase for emails.
+ * "*" and names (anything with letters) pass through unchanged. Returns
+ * null for a number that doesn't fit the country's numbering.
+ */
+export function normalizeHandle(handle, country = DEFAULT_COUNTRY) {
+  if (handle === undefined || handle === null) return null;
+  const raw = String(handle).trim();
+  if (!raw) return null;
+  if (raw === "*") return raw;
+  if (raw.includes("@")) return raw.toLowerCase();
+  if (/[a-z]/i.test(raw)) return raw;
+
+  // "+44 (0) 7700 900123": the (0) is the trunk prefix, shown for national dialling
+  const digits = raw.replace(/\(0\)/g, "").replace(/\D/g, "");
+  if (!digits) return null;
+  if (raw.startsWith("+")) return `+${digits}`;
+
+  const region = REGIONS[String(country).toUpperCase()] ?? REGIONS[DEFAULT_COUNTRY];
+  const intl = region.intl ?? "00";
+  if (digits.startsWith(intl) && digits.length > intl.length + 6) return `+${digits.slice(intl.length)}`;
+  if (digits.length <= SHORT_CODE_MAX_DIGITS) return digits;
+
+  const [min, max] = region.nsn;
+  const national = (n) => n.length >= min && n.length <= max ? `+${region.code}${n}` : null;
+  const afterCode = digits.startsWith(region.code) ? national(digits.slice(region.code.length)) : null;
+  if (region.trunk) {
+    // Written nationally with the trunk prefix, or with the country code but no "+"
+    if (digits.startsWith(region.trunk)) {
+      const result = national(digits.slice(region.trunk.length));
+      if (result) return result;
+    }
+    return afterCode ?? national(digits);
+  }
+  // Without a trunk prefix a national number can start with the country code's digits too
+  return national(digits) ?? afterCode;
+}
+
+/**
+ * Handle helpers bound to an account's country and identities
+ */
+export function createHandleResolver({ defaultCountry = DEFAULT_COUNTRY, identities = {} } = {}) {
+  const normalize = (handle) => normalizeHandle(handle, defaultCountry);
+
+  const byHandle = new Map();
+  for (const [name, handles] of Object.entries(identities ?? {})) {
+    for (const handle of [].concat(handles ?? [])) {
+      const key = normalize(handle);
+      if (key) byHandle.set(key, name);
+    }
+  }
+
+  /**
+   * The identity a handle belongs to, or the normalized handle itself
+   */
+  const identityKey = (handle) => {
+    const key = normalize(handle);
+    if (!key) return null;
+    return byHandle.get(key) ?? key;
+  };
+
+  return {
+    normalize,
+    identityKey,
+
+    /**
+     * The sendable handles behind a config entry: an identity name expands to
+     * its handles, a handle is normalized, and anything else gives none
+     */
+    handlesOf(entry) {
+      const listed = Object.hasOwn(identities ?? {}, entry) ? [].concat(identities[entry] ?? []) : [entry];
+      return listed.map(normalize).filter(h => h && (h.includes("@") || /^\+?\d+$/.test(h)));
+    },
+
+    /**
+     * Whether `sender` is in `list` (handles, identity names or "*")
+     */
+    isAllowed(sender, list = []) {
+      if (!sender || list.length === 0) return false;
+      if (list.includes("*")) return true;
+      const key = identityKey(sender);
+      return list.some(entry => entry === sender || (key !== null && identityKey(entry) === key));
+    }
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Durable inbound queue
+ *
+ * Messages are enqueued (and persisted with the ROWID cursor) before any
+ * dispatch happens, and only acknowledged once dispatch completes. Failed
+ * dispatches are retried with exponential backoff and moved to a dead-letter
+ * list after `maxAttempts`. The queue lives inside the plugin state object so
+ * one atomic state write covers cursor and queue together.
+ *
+ * Entries are identified by `id` when set (edits and retractions reuse their
+ * message's ROWID) and ordered by `order`, falling back to `rowId`.
+ */
+
+export function retryDelay(attempts, baseMs, maxMs) {
+  return Math.min(maxMs, baseMs * 2 ** Math.max(0, attempts - 1));
+}
+
+export function createInboundQueue(state, { maxAttempts = 5, retryBaseMs = 2000, retryMaxMs = 5 * 60 * 1000, deadLetterLimit = 100 } = {}) {
+  if (!Array.isArray(state.queue)) state.queue = [];
+  if (!Array.isArray(state.deadLetters)) state.deadLetters = [];
+
+  const keyOf = (e) => e.id ?? e.rowId;
+  const orderOf = (e) => e.order ?? e.rowId;
+  const find = (key) => state.queue.find(e => keyOf(e) === key);
+
+  return {
+    size: () => state.queue.length,
+    find: (predicate) => state.queue.find(predicate) ?? null,
+
+    enqueue(entry) {
+      if (find(keyOf(entry))) return;
+      state.queue.push({ attempts: 0, nextAttemptAt: 0, ...entry });
+      state.queue.sort((a, b) => orderOf(a) - orderOf(b));
+    },
+
+    /**
+     * Entries ready to dispatch, oldest first. A chat whose oldest entry is
+     * still backing off holds back its later entries to keep per-chat order.
+     */
+    due(now = Date.now()) {
+      const blocked = new Set();
+      const ready = [];
+      for (const entry of state.queue) {
+        if (blocked.has(entry.chat)) continue;
+        if (entry.nextAttemptAt > now) {
+          blocked.add(entry.chat);
+          continue;
+        }
+        ready.push(entry);
+      }
+      return ready;
+    },
+
+    /**
+     * Put an entry off until `until` without counting an attempt (e.g. its
+     * attachments are still downloading). `deferredSince` keeps the first time.
+     */
+    defer(key, until, now = Date.now()) {
+      const entry = find(key);
+      if (!entry) return null;
+      entry.deferredSince ??= now;
+      entry.nextAttemptAt = until;
+      return entry;
+    },
+
+    ack(key) {
+      state.queue = state.queue.filter(e => keyOf(e) !== key);
+    },
+
+    /**
+     * Record a failed attempt. Returns { entry, deadLettered }.
+     */
+    fail(key, err, now = Date.now()) {
+      const entry = find(key);
+      if (!entry) return { entry: null, deadLettered: false };
+      entry.attempts += 1;
+      entry.lastError = err?.message ?? String(err);
+      if (entry.attempts >= maxAttempts) {
+        state.queue = state.queue.filter(e => e !== entry);
+        state.deadLetters.push({ ...entry, failedAt: now });
+        if (state.deadLetters.length > deadLetterLimit) state.deadLetters = state.deadLetters.slice(-deadLetterLimit);
+        return { entry, deadLettered: true };
+      }
+      entry.nextAttemptAt = now + retryDelay(entry.attempts, retryBaseMs, retryMaxMs);
+      return { entry, deadLettered: false };
+    }
+  };
+}
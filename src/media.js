@@ -0,0 +1,189 @@
+/**
+ * Remote media for outbound sends
+ *
+ * Messages.app can only attach local files, and only ones it is allowed to
+ * read, so `http(s)` media is downloaded into a cache directory under the
+ * user's home first. Downloads are capped in size, their type is taken from
+ * the file's first bytes (not the server's Content-Type), and cached files
+ * are deleted once they are older than the cache TTL.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { createHash, randomBytes } from "crypto";
+
+export const DEFAULT_MEDIA_TYPES = ["image/*", "video/*", "audio/*", "application/pdf"];
+
+const DOWNLOAD_TIMEOUT_MS = 30 * 1000;
+
+// ISO base media ("....ftyp<brand>") brands
+const FTYP_BRANDS = {
+  heic: { mime: "image/heic", ext: ".heic" },
+  heix: { mime: "image/heic", ext: ".heic" },
+  mif1: { mime: "image/heif", ext: ".heif" },
+  avif: { mime: "image/avif", ext: ".avif" },
+  "qt  ": { mime: "video/quicktime", ext: ".mov" },
+  "M4A ": { mime: "audio/mp4", ext: ".m4a" },
+  "M4V ": { mime: "video/mp4", ext: ".m4v" },
+  "3gp4": { mime: "video/3gpp", ext: ".3gp" },
+  "3gp5": { mime: "video/3gpp", ext: ".3gp" }
+};
+
+/**
+ * Detect a file's type from its first bytes: { mime, ext } or null
+ */
+export function sniffMediaType(buf) {
+  const starts = (bytes, offset = 0) => bytes.every((b, i) => buf[offset + i] === b);
+  const ascii = (start, end) => buf.subarray(start, end).toString("latin1");
+  if (buf.length < 4) return null;
+
+  if (starts([0xff, 0xd8, 0xff])) return { mime: "image/jpeg", ext: ".jpg" };
+  if (starts([0x89, 0x50, 0x4e, 0x47])) return { mime: "image/png", ext: ".png" };
+  if (ascii(0, 4) === "GIF8") return { mime: "image/gif", ext: ".gif" };
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return { mime: "image/webp", ext: ".webp" };
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") return { mime: "audio/wav", ext: ".wav" };
+  if (ascii(0, 5) === "%PDF-") return { mime: "application/pdf", ext: ".pdf" };
+  if (ascii(0, 3) === "ID3" || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0)) return { mime: "audio/mpeg", ext: ".mp3" };
+  if (ascii(0, 4) === "caff") return { mime: "audio/x-caf", ext: ".caf" };
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    return FTYP_BRANDS[brand] ?? { mime: "video/mp4", ext: ".mp4" };
+  }
+  return null;
+}
+
+/**
+ * Whether `mime` matches one of `allowed` ("image/png", "image/*", "*")
+ */
+export function isAllowedMediaType(mime, allowed = DEFAULT_MEDIA_TYPES) {
+  return allowed.some(pattern => pattern === "*" || pattern === mime ||
+    (pattern.endsWith("/*") && mime.startsWith(pattern.slice(0, -1))));
+}
+
+export function isRemoteMedia(url) {
+  return /^https?:\/\//i.test(String(url ?? ""));
+}
+
+export function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} bytes`;
+}
+
+function mediaError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * `fetch` defaults to the global one. `fetchMedia(url)` resolves to the
+ * cached file's path or rejects with a `code` of MEDIA_TOO_LARGE,
+ * MEDIA_TYPE or MEDIA_DOWNLOAD.
+ */
+export function createMediaCache({
+  dir,
+  maxBytes = 25 * 1024 * 1024,
+  allowedTypes = DEFAULT_MEDIA_TYPES,
+  ttlMs = 24 * 60 * 60 * 1000,
+  fetch = globalThis.fetch,
+  log
+}) {
+  const tooLarge = () => mediaError(`Media is larger than ${formatSize(maxBytes)}`, "MEDIA_TOO_LARGE");
+
+  // Same URL, same file - a reply that repeats an image doesn't download it twice
+  const cachedFile = (url) => {
+    const key = createHash("sha256").update(url).digest("hex").slice(0, 32);
+    try {
+      const name = fs.readdirSync(dir).find(f => f.startsWith(`${key}.`));
+      if (name) return { key, file: path.join(dir, name) };
+    } catch {}
+    return { key, file: null };
+  };
+
+  const download = async (url, tmpFile) => {
+    let res;
+    try {
+      res = await fetch(url, { redirect: "follow", signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+    } catch (err) {
+      throw mediaError(`Download failed: ${err.message}`, "MEDIA_DOWNLOAD");
+    }
+    if (!res.ok) throw mediaError(`Download failed: HTTP ${res.status}`, "MEDIA_DOWNLOAD");
+    if (Number(res.headers.get("content-length")) > maxBytes) throw tooLarge();
+
+    const out = fs.openSync(tmpFile, "w");
+    let size = 0;
+    let head = Buffer.alloc(0);
+    try {
+      for await (const chunk of res.body) {
+        size += chunk.length;
+        if (size > maxBytes) throw tooLarge();
+        if (head.length < 16) head = Buffer.concat([head, chunk.subarray(0, 16 - head.length)]);
+        fs.writeSync(out, chunk);
+      }
+    } catch (err) {
+      throw err.code ? err : mediaError(`Download failed: ${err.message}`, "MEDIA_DOWNLOAD");
+    } finally {
+      fs.closeSync(out);
+    }
+    return { size, head };
+  };
+
+  return {
+    dir,
+
+    async fetchMedia(url) {
+      if (!isRemoteMedia(url)) throw mediaError(`Not an http(s) URL: ${url}`, "MEDIA_DOWNLOAD");
+      const cached = cachedFile(url);
+      if (cached.file) {
+        // Touch it so the sweep measures age from the last use
+        const now = new Date();
+        try { fs.utimesSync(cached.file, now, now); } catch {}
+        return cached.file;
+      }
+
+      fs.mkdirSync(dir, { recursive: true });
+      const tmpFile = path.join(dir, `.${cached.key}.${randomBytes(4).toString("hex")}.part`);
+      try {
+        const { size, head } = await download(url, tmpFile);
+        const type = sniffMediaType(head);
+        if (!type) throw mediaError("Unrecognized media type", "MEDIA_TYPE");
+        if (!isAllowedMediaType(type.mime, allowedTypes)) throw mediaError(`Media type ${type.mime} is not allowed`, "MEDIA_TYPE");
+        const file = path.join(dir, `${cached.key}${type.ext}`);
+        fs.renameSync(tmpFile, file);
+        log?.info?.(`[iMessage] Downloaded ${type.mime} (${size} bytes) from ${url}`);
+        return file;
+      } finally {
+        try { fs.unlinkSync(tmpFile); } catch {}
+      }
+    },
+
+    /**
+     * Delete cached files (and abandoned partial downloads) older than the TTL
+     */
+    sweep: (now = Date.now()) => sweepDir(dir, ttlMs, { now, log })
+  };
+}
+
+/**
+ * Delete files in `dir` not modified for `ttlMs`. Returns how many were removed.
+ */
+export function sweepDir(dir, ttlMs, { now = Date.now(), log } = {}) {
+  let removed = 0;
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir);
+  } catch {
+    return 0;
+  }
+  for (const name of entries) {
+    const file = path.join(dir, name);
+    try {
+      const st = fs.statSync(file);
+      if (st.isFile() && now - st.mtimeMs > ttlMs) {
+        fs.unlinkSync(file);
+        removed++;
+      }
+    } catch {}
+  }
+  if (removed > 0) log?.debug?.(`[iMessage] Removed ${removed} expired files from ${dir}`);
+  return removed;
+}
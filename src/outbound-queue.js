@@ -0,0 +1,100 @@
+/**
+ * Outbound delivery queue
+ *
+ * Sends to the same chat run strictly in order. Every send waits for both a
+ * global slot and a per-recipient slot, so a long multi-chunk reply doesn't
+ * flood Messages.app. Transient AppleScript failures are retried with
+ * backoff; anything else (or the last failed attempt) rejects to the caller.
+ */
+
+// AppleScript errors that retrying won't fix
+const PERMANENT_ERRORS = [
+  -1728, // Can't get object (unknown buddy / chat)
+  -1743, // Not authorized to send Apple events
+  -1700, // Can't make value into expected type
+  -2740, // Syntax error
+  -2741  // Syntax error
+];
+
+// Failures to even run osascript: missing binary, or arguments execFile refuses (e.g. a NUL byte)
+const PERMANENT_CODES = ["ENOENT", "EACCES", "ERR_INVALID_ARG_VALUE", "ERR_INVALID_ARG_TYPE"];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed send is worth retrying
+ */
+export function isTransientSendError(err) {
+  if (PERMANENT_CODES.includes(err?.code)) return false;
+  // A send that timed out, or that the script worker took before failing, may
+  // still have gone out; sending it again could double it
+  if (err?.timedOut) return false;
+  if (err?.workerFailure && !err.notStarted) return false;
+  const message = `${err?.message ?? ""} ${err?.stderr ?? ""}`;
+  const code = /\((-?\d+)\)\s*$/m.exec(message.trim())?.[1];
+  if (code && PERMANENT_ERRORS.includes(Number(code))) return false;
+  return true;
+}
+
+export function createOutboundQueue(options = {}) {
+  let opts = {
+    maxAttempts: 3,
+    retryBaseMs: 1000,
+    minIntervalMs: 300,
+    perRecipientIntervalMs: 1000,
+    log: null,
+    ...options
+  };
+
+  const chains = new Map();
+  const recipientNext = new Map();
+  let globalNext = 0;
+
+  // Reserve the next free slot synchronously so concurrent callers can't share one
+  const waitTurn = async (key) => {
+    const now = Date.now();
+    const at = Math.max(now, globalNext, recipientNext.get(key) ?? 0);
+    globalNext = at + opts.minIntervalMs;
+    recipientNext.set(key, at + opts.perRecipientIntervalMs);
+    if (recipientNext.size > 200) {
+      for (const [k, t] of recipientNext) if (t < now) recipientNext.delete(k);
+    }
+    if (at > now) await sleep(at - now);
+  };
+
+  const attempt = async (key, send) => {
+    for (let i = 1; ; i++) {
+      await waitTurn(key);
+      try {
+        return await send();
+      } catch (err) {
+        if (i >= opts.maxAttempts || !isTransientSendError(err)) {
+          err.attempts = i;
+          throw err;
+        }
+        const delay = opts.retryBaseMs * 2 ** (i - 1);
+        opts.log?.warn?.(`[iMessage] Send to ${key} failed (attempt ${i}/${opts.maxAttempts}), retrying in ${delay}ms: ${err.message}`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  return {
+    configure(next) {
+      opts = { ...opts, ...Object.fromEntries(Object.entries(next).filter(([, v]) => v !== undefined)) };
+    },
+
+    /**
+     * Queue a send for a chat. Resolves with the send's result, rejects if it ultimately fails.
+     */
+    enqueue(key, send) {
+      const prev = chains.get(key) ?? Promise.resolve();
+      const run = prev.catch(() => {}).then(() => attempt(key, send));
+      chains.set(key, run);
+      run.finally(() => {
+        if (chains.get(key) === run) chains.delete(key);
+      }).catch(() => {});
+      return run;
+    }
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * Pairing store for the `pairing` DM policy
+ *
+ * Unknown senders get a one-time code; an owner approves or denies it from
+ * their own iMessage thread. Approved handles are persisted so they survive
+ * gateway restarts.
+ */
+
+import { randomInt } from "crypto";
+import { writeJsonAtomic, readJson } from "./state.js";
+
+export const DM_POLICIES = ["allowlist", "pairing", "open", "disabled"];
+
+const DEFAULT_CODE_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Parse an owner's `/approve 123456` or `/deny 123456` reply
+ */
+export function parsePairingCommand(text) {
+  const m = /^\s*\/(approve|deny)\s+(\d{6})\s*$/i.exec(text ?? "");
+  return m ? { action: m[1].toLowerCase(), code: m[2] } : null;
+}
+
+/**
+ * Create a pairing store backed by a JSON file.
+ * `normalize` maps a handle to the key it is stored under.
+ */
+export function createPairingStore(filePath, { normalize = (h) => h, codeTtlMs = DEFAULT_CODE_TTL_MS, log } = {}) {
+  const loaded = readJson(filePath, {}, log);
+  const data = { approved: loaded.approved ?? {}, denied: loaded.denied ?? {}, pending: loaded.pending ?? {} };
+
+  const save = () => {
+    try {
+      writeJsonAtomic(filePath, data);
+    } catch (e) {
+      log?.error?.(`[iMessage] Cannot write pairing store: ${e.message}`);
+    }
+  };
+
+  const key = (handle) => normalize(handle) || handle;
+
+  const prune = (now = Date.now()) => {
+    let changed = false;
+    for (const [code, entry] of Object.entries(data.pending)) {
+      if (entry.expiresAt <= now) {
+        delete data.pending[code];
+        changed = true;
+      }
+    }
+    return changed;
+  };
+
+  const pendingFor = (handle) => {
+    const k = key(handle);
+    return Object.entries(data.pending).find(([, e]) => e.handle === k) ?? null;
+  };
+
+  return {
+    isApproved: (handle) => Boolean(handle) && Boolean(data.approved[key(handle)]),
+    isDenied: (handle) => Boolean(handle) && Boolean(data.denied[key(handle)]),
+
+    /**
+     * Issue a code for an unknown sender. Returns { code, isNew } - isNew is
+     * false while an earlier code is still outstanding, so we only message once.
+     * The entry keeps `sender` as given, since its key may be an identity name.
+     */
+    request(handle, name = null) {
+      const changed = prune();
+      const existing = pendingFor(handle);
+      if (existing) {
+        if (changed) save();
+        return { code: existing[0], isNew: false };
+      }
+      let code;
+      do {
+        code = String(randomInt(0, 1000000)).padStart(6, "0");
+      } while (data.pending[code]);
+      const now = Date.now();
+      data.pending[code] = { handle: key(handle), sender: handle, name, requestedAt: now, expiresAt: now + codeTtlMs };
+      save();
+      return { code, isNew: true };
+    },
+
+    /**
+     * Resolve a pending code. Returns the pending entry, or null if the code is unknown/expired.
+     */
+    resolve(code, action, by) {
+      if (prune()) save();
+      const entry = data.pending[code];
+      if (!entry) return null;
+      delete data.pending[code];
+      const record = { name: entry.name, by, at: Date.now() };
+      if (action === "approve") {
+        data.approved[entry.handle] = record;
+        delete data.denied[entry.handle];
+      } else {
+        data.denied[entry.handle] = record;
+      }
+      save();
+      return entry;
+    },
+
+    approvedHandles: () => Object.keys(data.approved)
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Reactions (tapbacks, custom emoji, stickers)
+ *
+ * A reaction is its own message row pointing at the target through
+ * `associated_message_guid` ("p:<part>/<guid>" or "bp:<guid>"), with the kind
+ * in `associated_message_type`:
+ *   1000         sticker placed on a message
+ *   2000-2005    classic tapbacks (love, like, dislike, laugh, emphasize, question)
+ *   2006         custom emoji, stored in `associated_message_emoji`
+ *   2007         sticker reaction, the sticker is the row's attachment
+ *   3000-3007    removal of the matching 200x reaction
+ */
+
+export const TAPBACKS = {
+  0: { kind: "love", emoji: "❤️" },
+  1: { kind: "like", emoji: "👍" },
+  2: { kind: "dislike", emoji: "👎" },
+  3: { kind: "laugh", emoji: "😂" },
+  4: { kind: "emphasize", emoji: "‼️" },
+  5: { kind: "question", emoji: "❓" },
+  6: { kind: "emoji", emoji: null },
+  7: { kind: "sticker", emoji: null }
+};
+
+export function isReactionType(type) {
+  return type === 1000 || (type >= 2000 && type < 2008) || (type >= 3000 && type < 3008);
+}
+
+/**
+ * Split an associated_message_guid into the target guid and message part
+ */
+export function parseAssociatedGuid(value) {
+  if (!value) return { guid: null, part: 0 };
+  const match = /^(?:p:(\d+)\/|bp:)?(.+)$/.exec(value);
+  return { guid: match[2], part: match[1] ? Number(match[1]) : 0 };
+}
+
+/**
+ * Structured reaction for a row, or null when it isn't one we understand:
+ * { action: "add" | "remove", kind, emoji, targetGuid, targetPart }
+ */
+export function parseReaction(row) {
+  const type = row.associated_message_type;
+  if (!isReactionType(type)) return null;
+  const { guid, part } = parseAssociatedGuid(row.associated_message_guid);
+  if (!guid) return null;
+
+  if (type === 1000) {
+    return { action: "add", kind: "sticker", emoji: null, targetGuid: guid, targetPart: part };
+  }
+
+  const tapback = TAPBACKS[type % 1000];
+  const emoji = tapback.kind === "emoji" ? (row.associated_message_emoji || null) : tapback.emoji;
+  return {
+    action: type >= 3000 ? "remove" : "add",
+    kind: tapback.kind,
+    emoji,
+    targetGuid: guid,
+    targetPart: part
+  };
+}
+
+/**
+ * Flattened text for a reaction, e.g. `❤️ reacted to: "see you at 6"`
+ */
+export function formatReaction(reaction, targetText) {
+  const what = reaction.kind === "sticker" ? "a sticker" : (reaction.emoji || "an emoji");
+  const quoted = `"${targetText || "message"}"`;
+  if (reaction.action === "remove") return `Removed ${what} reaction from: ${quoted}`;
+  if (reaction.kind === "sticker") return `Stuck a sticker on: ${quoted}`;
+  return reaction.emoji ? `${reaction.emoji} reacted to: ${quoted}` : `Reacted to: ${quoted}`;
+}
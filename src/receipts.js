@@ -0,0 +1,161 @@
+/**
+ * Delivery and read receipt tracking
+ *
+ * AppleScript gives no feedback once Messages.app accepts a send, so after
+ * each send we look for the matching `is_from_me = 1` row in chat.db and
+ * watch its `error`, `is_delivered`, `is_read` and `date_read` columns.
+ * Each status change is reported once: sent, delivered, read, failed.
+ *
+ * Group chats and people with read receipts off never report "read", so a
+ * send is only watched past "delivered" when `watchRead` asks for it, and
+ * never for longer than the watch window.
+ */
+
+import { decodeAttributedBody, visibleText } from "./typedstream.js";
+import { inspectSchema, buildReceiptStatusQuery } from "./schema.js";
+
+const MATCH_TIMEOUT_MS = 2 * 60 * 1000;
+const WATCH_TIMEOUT_MS = 10 * 60 * 1000;
+
+function rowText(row) {
+  if (row.text) return visibleText(row.text);
+  try {
+    return visibleText(decodeAttributedBody(row.attributedBody)?.text);
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Create a tracker over an open (read-only) chat.db handle.
+ * `onEvent` receives { status, rowId, guid, target, text, error, meta }.
+ */
+export function createReceiptTracker(db, {
+  schema = inspectSchema(db),
+  onEvent,
+  log,
+  watchRead = false,
+  matchTimeoutMs = MATCH_TIMEOUT_MS,
+  watchTimeoutMs = WATCH_TIMEOUT_MS
+} = {}) {
+  const pending = [];
+  const claimed = new Set();
+  const { col } = schema;
+
+  const candidates = db.prepare(`
+    SELECT m.ROWID, m.guid, m.text, ${col("m", "message", "attributedBody")}, ${col("m", "message", "cache_has_attachments")}
+    FROM message m
+    LEFT JOIN handle h ON m.handle_id = h.ROWID
+    LEFT JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
+    LEFT JOIN chat c ON cmj.chat_id = c.ROWID
+    WHERE m.is_from_me = 1 AND m.ROWID > ?
+      AND (c.guid = ? OR c.chat_identifier = ? OR h.id = ?)
+    GROUP BY m.ROWID
+    ORDER BY m.ROWID
+  `);
+  const status = db.prepare(buildReceiptStatusQuery(schema));
+
+  const emit = (record, statusName, extra = {}) => {
+    record.reported.add(statusName);
+    try {
+      onEvent?.({
+        status: statusName,
+        rowId: record.rowId,
+        guid: record.guid,
+        target: record.target,
+        text: record.text,
+        meta: record.meta,
+        ...extra
+      });
+    } catch (e) {
+      log?.error?.(`[iMessage] Receipt handler error: ${e.message}`);
+    }
+  };
+
+  const match = (record) => {
+    const id = record.target.chatGuid ?? record.target.handle;
+    const rows = candidates.all(record.afterRowId, id, id, id);
+    return rows.find(row => {
+      if (claimed.has(row.ROWID)) return false;
+      if (record.isMedia) return Boolean(row.cache_has_attachments);
+      return rowText(row) === record.text;
+    }) ?? null;
+  };
+
+  return {
+    /**
+     * Current high-water ROWID - take this right before sending
+     */
+    mark() {
+      return db.prepare("SELECT MAX(ROWID) as m FROM message").get()?.m ?? 0;
+    },
+
+    /**
+     * Start watching for the row a send produced
+     */
+    track({ target, text = "", isMedia = false, afterRowId, meta = {} }) {
+      pending.push({
+        target,
+        text: visibleText(String(text).replace(/[\r\0]/g, "")),
+        isMedia,
+        afterRowId,
+        meta,
+        rowId: null,
+        guid: null,
+        trackedAt: Date.now(),
+        reported: new Set()
+      });
+    },
+
+    /**
+     * Match new rows and report status changes. Call once per poll.
+     */
+    check(now = Date.now()) {
+      for (const record of [...pending]) {
+        const done = () => {
+          pending.splice(pending.indexOf(record), 1);
+          if (pending.length === 0) claimed.clear();
+        };
+
+        if (!record.rowId) {
+          const row = match(record);
+          if (!row) {
+            if (now - record.trackedAt > matchTimeoutMs) {
+              log?.warn?.(`[iMessage] No chat.db row found for send to ${record.target.chatGuid ?? record.target.handle}`);
+              done();
+            }
+            continue;
+          }
+          record.rowId = row.ROWID;
+          record.guid = row.guid;
+          claimed.add(row.ROWID);
+        }
+
+        const row = status.get(record.rowId);
+        if (!row) {
+          done();
+          continue;
+        }
+        if (row.error) {
+          emit(record, "failed", { error: row.error });
+          done();
+          continue;
+        }
+        if ((row.is_sent || row.is_delivered) && !record.reported.has("sent")) emit(record, "sent");
+        if (row.is_delivered && !record.reported.has("delivered")) emit(record, "delivered");
+        if ((row.is_read || row.date_read) && !record.reported.has("read")) {
+          emit(record, "read");
+          done();
+          continue;
+        }
+        if (row.is_delivered && !watchRead) {
+          done();
+          continue;
+        }
+        if (now - record.trackedAt > watchTimeoutMs) done();
+      }
+    },
+
+    size: () => pending.length
+  };
+}
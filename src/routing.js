@@ -0,0 +1,69 @@
+/**
+ * Session routing for inbound messages
+ *
+ * By default every DM sender gets their own session and every group gets one
+ * session per chat. `routes` rules can pin specific senders, groups or contact
+ * names to a named agent and session key. Setting `dmScope: "main"` keeps the
+ * old behaviour of all DMs sharing `agent:<agent>:main`.
+ */
+
+export const DEFAULT_AGENT = "main";
+export const DM_SCOPES = ["per-sender", "main"];
+
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function sameText(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Whether a single route rule applies to this message. Every field the rule
+ * sets has to match; a rule with no match fields never matches.
+ */
+export function routeMatches(rule, msg, normalize = (h) => h) {
+  const senders = asList(rule.sender);
+  const groups = asList(rule.group);
+  const contacts = asList(rule.contact);
+  if (senders.length === 0 && groups.length === 0 && contacts.length === 0) return false;
+
+  if (senders.length > 0) {
+    if (!msg.sender) return false;
+    const ns = normalize(msg.sender);
+    if (!senders.some(s => s === msg.sender || normalize(s) === ns)) return false;
+  }
+  if (groups.length > 0) {
+    if (!msg.isGroup) return false;
+    if (!groups.some(g => g === msg.chatId || (msg.groupName && sameText(g, msg.groupName)))) return false;
+  }
+  if (contacts.length > 0) {
+    if (!msg.contactName || !contacts.some(c => sameText(c, msg.contactName))) return false;
+  }
+  return true;
+}
+
+function defaultSessionKey(agentId, msg, dmScope, normalize) {
+  if (msg.isGroup) return `agent:${agentId}:imessage-legacy:group:${msg.chatId}`;
+  if (dmScope === "main") return `agent:${agentId}:main`;
+  return `agent:${agentId}:imessage-legacy:dm:${normalize(msg.sender) || msg.sender}`;
+}
+
+/**
+ * Pick the agent and session key for an inbound message.
+ *
+ * `msg` is { sender, chatId, isGroup, contactName, groupName }.
+ * Rules are checked in order; the first match wins.
+ */
+export function resolveRoute(msg, { dmScope = "per-sender", routes = [], normalize = (h) => h } = {}) {
+  for (const rule of routes) {
+    if (!routeMatches(rule, msg, normalize)) continue;
+    const agentId = rule.agent || DEFAULT_AGENT;
+    const sessionKey = rule.session
+      ? `agent:${agentId}:${rule.session}`
+      : defaultSessionKey(agentId, msg, rule.dmScope ?? dmScope, normalize);
+    return { agentId, sessionKey, rule };
+  }
+  return { agentId: DEFAULT_AGENT, sessionKey: defaultSessionKey(DEFAULT_AGENT, msg, dmScope, normalize), rule: null };
+}
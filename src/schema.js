@@ -0,0 +1,153 @@
+/**
+ * chat.db schema introspection
+ *
+ * The message table has grown a column or two with almost every macOS
+ * release (inline replies in 11, edit/unsend in 13, ...). Rather than assume
+ * one layout, read `PRAGMA table_info` once at startup and build queries from
+ * the columns this Mac actually has; missing optional columns read as NULL.
+ */
+
+const TABLES = ["message", "handle", "chat", "chat_message_join", "chat_handle_join", "attachment", "message_attachment_join"];
+
+// Without these there is nothing to poll
+const REQUIRED = {
+  message: ["ROWID", "guid", "text", "handle_id", "is_from_me"],
+  handle: ["ROWID", "id"],
+  chat: ["ROWID", "guid", "chat_identifier"],
+  chat_message_join: ["chat_id", "message_id"]
+};
+
+// Optional features and the columns each one needs (any one of a list will do)
+const FEATURES = {
+  attributedBody: [["message", "attributedBody"]],
+  tapbacks: [["message", "associated_message_type"], ["message", "associated_message_guid"]],
+  emojiReactions: [["message", "associated_message_emoji"]],
+  replies: [["message", ["thread_originator_guid", "reply_to_guid"]]],
+  attachments: [["attachment", "filename"], ["message_attachment_join", "message_id"]],
+  receipts: [["message", "is_delivered"], ["message", "is_read"]],
+  edits: [["message", "date_edited"]],
+  unsend: [["message", "date_retracted"]],
+  groupNames: [["chat", "display_name"]],
+  richMessages: [["message", "balloon_bundle_id"], ["message", "payload_data"]],
+  groupEvents: [["message", "item_type"], ["message", "group_action_type"]]
+};
+
+/**
+ * Build a schema from { table: [column, ...] } - what `inspectSchema` reads
+ * from a live database, or a literal for a given macOS version.
+ */
+export function createSchema(columnsByTable) {
+  const tables = new Map(Object.entries(columnsByTable).map(([t, cols]) => [t, new Set(cols)]));
+  const has = (table, column) => tables.get(table)?.has(column) ?? false;
+
+  const missing = Object.entries(REQUIRED)
+    .flatMap(([table, cols]) => cols.filter(c => !has(table, c)).map(c => `${table}.${c}`));
+
+  const features = Object.fromEntries(Object.entries(FEATURES).map(([name, needs]) => [
+    name,
+    needs.every(([table, cols]) => [].concat(cols).some(c => has(table, c)))
+  ]));
+
+  /**
+   * `alias.column`, or `NULL AS column` when this chat.db doesn't have it
+   */
+  const col = (alias, table, column, as = column) => {
+    if (!has(table, column)) return `NULL AS ${as}`;
+    return as === column ? `${alias}.${column}` : `${alias}.${column} AS ${as}`;
+  };
+
+  return { has, col, missing, features };
+}
+
+/**
+ * Read the column layout of an open chat.db
+ */
+export function inspectSchema(db) {
+  const columns = {};
+  for (const table of TABLES) {
+    const rows = db.prepare(`PRAGMA table_info(${table})`).all();
+    // ROWID is implicit and never listed
+    if (rows.length > 0) columns[table] = ["ROWID", ...rows.map(r => r.name)];
+  }
+  return createSchema(columns);
+}
+
+/**
+ * One-line summary for the startup log
+ */
+export function describeFeatures(schema) {
+  const entries = Object.entries(schema.features);
+  const on = entries.filter(([, v]) => v).map(([k]) => k);
+  const off = entries.filter(([, v]) => !v).map(([k]) => k);
+  return `features=${on.join(",") || "none"}` + (off.length ? ` unavailable=${off.join(",")}` : "");
+}
+
+/**
+ * Inbound message rows, joined with sender and chat. Callers append WHERE/GROUP BY/ORDER BY.
+ */
+export function buildMessageSelect(schema) {
+  const { col, has } = schema;
+  const otherHandle = has("message", "other_handle");
+  return `
+        SELECT m.ROWID, m.guid, m.text, ${col("m", "message", "attributedBody")}, m.is_from_me,
+               ${col("m", "message", "date")}, ${col("m", "message", "associated_message_type")},
+               ${col("m", "message", "associated_message_guid")}, ${col("m", "message", "associated_message_emoji")},
+               ${col("m", "message", "reply_to_guid")},
+               ${col("m", "message", "thread_originator_guid")},
+               ${col("m", "message", "cache_has_attachments")},
+               ${col("m", "message", "date_edited")}, ${col("m", "message", "date_retracted")},
+               ${col("m", "message", "message_summary_info")},
+               ${col("m", "message", "balloon_bundle_id")}, ${col("m", "message", "payload_data")},
+               ${col("m", "message", "item_type")}, ${col("m", "message", "group_action_type")},
+               ${col("m", "message", "group_title")}, ${otherHandle ? "oh.id" : "NULL"} AS other_handle_id,
+               h.id as sender, c.chat_identifier, c.guid as chat_guid,
+               ${col("c", "chat", "display_name")}, ${col("c", "chat", "style")}
+        FROM message m
+        LEFT JOIN handle h ON m.handle_id = h.ROWID
+        ${otherHandle ? "LEFT JOIN handle oh ON m.other_handle = oh.ROWID" : ""}
+        LEFT JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
+        LEFT JOIN chat c ON cmj.chat_id = c.ROWID
+      `;
+}
+
+/**
+ * The message a reply or tapback points at, by guid
+ */
+export function buildReplyContextQuery(schema) {
+  const { col } = schema;
+  return `
+      SELECT m.text, ${col("m", "message", "attributedBody")}, m.ROWID, m.is_from_me,
+             ${col("m", "message", "date")}, h.id as sender
+      FROM message m
+      LEFT JOIN handle h ON m.handle_id = h.ROWID
+      WHERE m.guid = ? LIMIT 1
+    `;
+}
+
+/**
+ * Attachments of one message, or null when this chat.db has no attachment tables
+ */
+export function buildAttachmentQuery(schema) {
+  if (!schema.features.attachments) return null;
+  const { col } = schema;
+  return `
+      SELECT a.filename, ${col("a", "attachment", "mime_type")}, ${col("a", "attachment", "total_bytes")},
+             ${col("a", "attachment", "transfer_name")}, ${col("a", "attachment", "uti")}
+      FROM attachment a
+      JOIN message_attachment_join maj ON a.ROWID = maj.attachment_id
+      WHERE maj.message_id = ?
+    `;
+}
+
+/**
+ * Delivery status of one sent message
+ */
+export function buildReceiptStatusQuery(schema) {
+  const { col } = schema;
+  return `
+    SELECT ROWID, guid, ${col("message", "message", "error")}, ${col("message", "message", "is_sent")},
+           ${col("message", "message", "is_delivered")}, ${col("message", "message", "is_read")},
+           ${col("message", "message", "date_read")}
+    FROM message WHERE ROWID = ?
+  `;
+}
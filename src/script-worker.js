@@ -0,0 +1,201 @@
+/**
+ * Persistent osascript worker
+ *
+ * Spawning osascript for every bubble costs a few hundred milliseconds each.
+ * Instead one long-lived JXA process reads JSON send commands on stdin, one
+ * per line, and answers each with a JSON line on stdout (after a first
+ * {"ready":true} line once it is up):
+ *   → {"id":1,"kind":"text","text":"hi","handle":"+15551234567"}
+ *   ← {"id":1,"ok":true}
+ * If the worker dies it is restarted on the next send; after repeated deaths
+ * it is left off for a while so callers fall back to one osascript per send.
+ */
+
+import { spawn as spawnProcess } from "child_process";
+
+// JXA source. Commands arrive ASCII-only (see encodeCommand), so a read can't split a character.
+const WORKER_SCRIPT = `
+ObjC.import("Foundation");
+function run() {
+  const input = $.NSFileHandle.fileHandleWithStandardInput;
+  const output = $.NSFileHandle.fileHandleWithStandardOutput;
+  const Messages = Application("Messages");
+  const write = (obj) => output.writeData($(JSON.stringify(obj) + "\\n").dataUsingEncoding($.NSUTF8StringEncoding));
+  let buffer = "";
+  write({ ready: true });
+  while (true) {
+    const data = input.availableData;
+    if (data.length === 0) return;
+    buffer += ObjC.unwrap($.NSString.alloc.initWithDataEncoding(data, $.NSUTF8StringEncoding));
+    let nl;
+    while ((nl = buffer.indexOf("\\n")) >= 0) {
+      const line = buffer.slice(0, nl);
+      buffer = buffer.slice(nl + 1);
+      if (!line.trim()) continue;
+      let cmd = null;
+      try {
+        cmd = JSON.parse(line);
+        const to = cmd.chatGuid
+          ? Messages.chats.byId(cmd.chatGuid)
+          : Messages.services.whose({ serviceType: "iMessage" })[0].buddies.byName(cmd.handle);
+        Messages.send(cmd.kind === "file" ? Path(cmd.filePath) : cmd.text, { to: to });
+        write({ id: cmd.id, ok: true });
+      } catch (e) {
+        write({ id: cmd ? cmd.id : null, ok: false, error: String(e.message || e), code: e.errorNumber || null });
+      }
+    }
+  }
+}
+`;
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * JSON with everything outside ASCII escaped
+ */
+export function encodeCommand(command) {
+  return JSON.stringify(command).replace(/[\u007f-\uffff]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`) + "\n";
+}
+
+export function workerArgs() {
+  const lines = WORKER_SCRIPT.split("\n").filter(line => line.trim());
+  return ["-l", "JavaScript", ...lines.flatMap(line => ["-e", line])];
+}
+
+/**
+ * `send(command)` resolves once Messages.app accepted the send and rejects
+ * with the AppleScript error otherwise. Errors from the worker itself (it
+ * could not start, died or timed out) have `workerFailure: true`, and
+ * `notStarted: true` when the command never reached it.
+ */
+export function createScriptWorker({
+  spawn = spawnProcess,
+  log,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxDeaths = 3,
+  deathWindowMs = 60 * 1000,
+  cooldownMs = 5 * 60 * 1000
+} = {}) {
+  let child = null;
+  let buffer = "";
+  let nextId = 1;
+  let disabledUntil = 0;
+  let closed = false;
+  const pending = new Map();
+  const deaths = [];
+
+  const workerError = (message, extra = {}) => Object.assign(new Error(message), { workerFailure: true, ...extra });
+
+  const onLine = (proc, line) => {
+    let reply;
+    try {
+      reply = JSON.parse(line);
+    } catch {
+      log?.debug?.(`[iMessage] Script worker: ${line}`);
+      return;
+    }
+    if (reply.ready) {
+      proc.ready = true;
+      return;
+    }
+    const call = pending.get(reply.id);
+    if (!call) return;
+    pending.delete(reply.id);
+    clearTimeout(call.timer);
+    if (reply.ok) {
+      call.resolve();
+    } else {
+      // Same shape as an osascript failure, so retry classification still applies
+      call.reject(new Error(reply.code ? `${reply.error} (${reply.code})` : reply.error));
+    }
+  };
+
+  const onExit = (proc, reason) => {
+    if (child !== proc) return;
+    child = null;
+    buffer = "";
+    // The script announces itself before it reads any command; until then nothing was sent
+    const notStarted = !proc.ready;
+    for (const [id, call] of pending) {
+      clearTimeout(call.timer);
+      call.reject(workerError(`Script worker ${reason}`, { notStarted }));
+      pending.delete(id);
+    }
+    if (closed) return;
+    const now = Date.now();
+    deaths.push(now);
+    while (deaths.length && now - deaths[0] > deathWindowMs) deaths.shift();
+    if (deaths.length >= maxDeaths) {
+      disabledUntil = now + cooldownMs;
+      deaths.length = 0;
+      log?.warn?.(`[iMessage] Script worker keeps dying (${reason}), using one osascript per send for ${Math.round(cooldownMs / 1000)}s`);
+    } else {
+      log?.warn?.(`[iMessage] Script worker ${reason}, restarting on next send`);
+    }
+  };
+
+  const start = () => {
+    const proc = spawn("osascript", workerArgs(), { stdio: ["pipe", "pipe", "pipe"] });
+    proc.stdout.setEncoding("utf8");
+    proc.stdout.on("data", (chunk) => {
+      buffer += chunk;
+      let nl;
+      while ((nl = buffer.indexOf("\n")) >= 0) {
+        const line = buffer.slice(0, nl).trim();
+        buffer = buffer.slice(nl + 1);
+        if (line) onLine(proc, line);
+      }
+    });
+    proc.stderr.on("data", (chunk) => log?.debug?.(`[iMessage] Script worker stderr: ${String(chunk).trim()}`));
+    proc.stdin.on("error", () => {});
+    proc.on("error", (err) => onExit(proc, `failed: ${err.message}`));
+    proc.on("exit", (code, signal) => onExit(proc, `exited (${signal ?? code})`));
+    proc.on("spawn", () => log?.info?.(`[iMessage] Script worker started (pid ${proc.pid})`));
+    return proc;
+  };
+
+  const available = () => !closed && Date.now() >= disabledUntil;
+
+  return {
+    /**
+     * Whether sends should go through the worker right now
+     */
+    available,
+
+    send(command) {
+      if (!available()) return Promise.reject(workerError("Script worker unavailable", { notStarted: true }));
+      try {
+        if (!child) child = start();
+      } catch (err) {
+        return Promise.reject(workerError(`Script worker failed to start: ${err.message}`, { notStarted: true }));
+      }
+      const proc = child;
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          if (!pending.has(id)) return;
+          // A stuck worker is killed; the exit handler fails this and any other pending send
+          log?.warn?.(`[iMessage] Script worker timed out after ${timeoutMs}ms`);
+          proc.kill();
+        }, timeoutMs);
+        pending.set(id, { resolve, reject, timer });
+        proc.stdin.write(encodeCommand({ id, ...command }));
+      });
+    },
+
+    close() {
+      closed = true;
+      const proc = child;
+      child = null;
+      for (const [, call] of pending) {
+        clearTimeout(call.timer);
+        call.reject(workerError("Script worker closed"));
+      }
+      pending.clear();
+      if (proc) {
+        proc.stdin.end();
+        proc.kill();
+      }
+    }
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Crash-safe JSON state files
+ *
+ * Writes go to a temp file in the same directory, are fsynced, then renamed
+ * over the target - so a crash leaves either the old or the new file, never a
+ * torn one.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+
+export function writeJsonAtomic(filePath, data) {
+  const dir = path.dirname(filePath);
+  fs.mkdirSync(dir, { recursive: true });
+  const tmpPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.tmp`);
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    try {
+      fs.writeSync(fd, JSON.stringify(data, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    try { fs.unlinkSync(tmpPath); } catch {}
+    throw err;
+  }
+}
+
+/**
+ * A writer for one file that skips the write when the data is the same as
+ * last time it wrote. Returns whether it wrote.
+ */
+export function createJsonWriter(filePath) {
+  let written = null;
+  return (data) => {
+    const json = JSON.stringify(data);
+    if (json === written) return false;
+    writeJsonAtomic(filePath, data);
+    written = json;
+    return true;
+  };
+}
+
+/**
+ * Read a JSON file, returning `fallback` when it is missing or unreadable
+ */
+export function readJson(filePath, fallback, log) {
+  try {
+    if (fs.existsSync(filePath)) return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (e) {
+    log?.error?.(`[iMessage] Cannot read ${filePath}: ${e.message}`);
+  }
+  return fallback;
+}
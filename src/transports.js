@@ -0,0 +1,125 @@
+/**
+ * Outbound transports
+ *
+ * Everything that leaves the plugin goes through a transport:
+ *   applescript - send via Messages.app (default)
+ *   record      - append each send as a JSON line to a file, send nothing
+ *   dry-run     - only log what would have been sent
+ *
+ * A transport is { name, tracksReceipts, sendText(target, text), sendFile(target, filePath), close() }
+ * and rejects when a send fails. AppleScript sends resolve to { via } naming
+ * the path that sent them ("worker" or "osascript").
+ */
+
+import { execFile } from "child_process";
+import { promisify } from "util";
+import * as fs from "fs";
+import * as path from "path";
+import { buildSendTextScript, buildSendFileScript, buildWorkerCommand, osascriptArgs } from "./applescript.js";
+import { createScriptWorker } from "./script-worker.js";
+
+const execFileAsync = promisify(execFile);
+
+// A Messages.app dialog can leave osascript hanging; later sends to the chat wait behind it
+const OSASCRIPT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * A failed osascript run as an error that carries only stderr and the exit
+ * code - execFile's own message repeats the whole argv, message text included.
+ * `timedOut` is set when it was killed after `timeoutMs`.
+ */
+export function osascriptError(err, timeoutMs) {
+  const stderr = String(err?.stderr ?? "").trim();
+  const timedOut = Boolean(err?.killed) && err?.signal === "SIGTERM";
+  const reason = timedOut
+    ? `timed out after ${timeoutMs}ms`
+    : stderr || `failed (${err?.code ?? err?.signal ?? "unknown error"})`;
+  return Object.assign(new Error(`osascript ${reason}`), { code: err?.code, signal: err?.signal, stderr, timedOut });
+}
+
+/**
+ * `run(file, args, options)` defaults to execFile - no shell is involved.
+ * With a `worker` (see script-worker.js) sends go through it, and only fall
+ * back to one osascript per send while the worker can't be started. A send
+ * the worker took and then failed is not repeated here - it may have gone out.
+ */
+export function createAppleScriptTransport({ run = execFileAsync, worker = null, timeoutMs = OSASCRIPT_TIMEOUT_MS, log } = {}) {
+  const send = async (invocation, command) => {
+    if (worker?.available()) {
+      try {
+        await worker.send(command);
+        return { via: "worker" };
+      } catch (err) {
+        if (!err.notStarted) throw err;
+        log?.debug?.(`[iMessage] ${err.message}, sending with osascript`);
+      }
+    }
+    try {
+      await run("osascript", osascriptArgs(invocation), { timeout: timeoutMs });
+    } catch (err) {
+      throw osascriptError(err, timeoutMs);
+    }
+    return { via: "osascript" };
+  };
+  return {
+    name: "applescript",
+    tracksReceipts: true,
+    sendText: (target, text) => send(buildSendTextScript(target, text), buildWorkerCommand(target, { text })),
+    sendFile: (target, filePath) => send(buildSendFileScript(target, filePath), buildWorkerCommand(target, { filePath })),
+    close: () => worker?.close()
+  };
+}
+
+/**
+ * Append one JSON line per send - lets CI check exactly what would have gone out
+ */
+export function createRecordingTransport({ file }) {
+  const record = (entry) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify({ at: new Date().toISOString(), ...entry }) + "\n");
+  };
+  return {
+    name: "record",
+    tracksReceipts: false,
+    sendText: async (target, text) => record({ type: "text", target, text, argv: ["osascript", ...osascriptArgs(buildSendTextScript(target, text))] }),
+    sendFile: async (target, filePath) => record({ type: "file", target, filePath, argv: ["osascript", ...osascriptArgs(buildSendFileScript(target, filePath))] }),
+    close: () => {}
+  };
+}
+
+export function createDryRunTransport({ log } = {}) {
+  const describe = (target) => target.chatGuid ?? target.handle;
+  return {
+    name: "dry-run",
+    tracksReceipts: false,
+    sendText: async (target, text) => {
+      log?.info?.(`[iMessage][dry-run] Would send to ${describe(target)}: "${text.slice(0, 200)}"`);
+    },
+    sendFile: async (target, filePath) => {
+      log?.info?.(`[iMessage][dry-run] Would send file to ${describe(target)}: ${filePath}`);
+    },
+    close: () => {}
+  };
+}
+
+/**
+ * Build the named transport, falling back to AppleScript. `scriptWorker`
+ * gives the AppleScript transport a persistent worker; close() stops it.
+ */
+export function createTransport(name = "applescript", { file, log, scriptWorker = false } = {}) {
+  const appleScript = () => createAppleScriptTransport({
+    worker: scriptWorker ? createScriptWorker({ log }) : null,
+    log
+  });
+  switch (name) {
+    case "record":
+      return createRecordingTransport({ file });
+    case "dry-run":
+      return createDryRunTransport({ log });
+    case "applescript":
+      return appleScript();
+    default:
+      log?.warn?.(`[iMessage] Unknown transport "${name}", using applescript`);
+      return appleScript();
+  }
+}
@@ -0,0 +1,390 @@
+/**
+ * typedstream (NSArchiver) decoder for `message.attributedBody`
+ *
+ * Newer macOS releases often leave `message.text` NULL and only store the
+ * content as an archived NSAttributedString. This decodes the archive into
+ * plain JS values and pulls out the string plus the iMessage attributes we
+ * care about (mentions, links, inline attachment markers).
+ *
+ * Pure functions over a Buffer - no database or macOS access needed.
+ */
+
+// Tag values as signed bytes (see NXTypedStream)
+const TAG_INTEGER_2 = -127;
+const TAG_INTEGER_4 = -126;
+const TAG_FLOATING_POINT = -125;
+const TAG_NEW = -124;
+const TAG_NIL = -123;
+const TAG_END_OF_OBJECT = -122;
+const FIRST_TAG = -128;
+const LAST_TAG = -111;
+const FIRST_REFERENCE_NUMBER = LAST_TAG + 1;
+
+const SIGNATURE = "streamtyped";
+
+// Object replacement character - marks where an inline attachment sits
+export const ATTACHMENT_CHAR = "\uFFFC";
+
+// iMessage attribute keys
+const ATTR_MENTION = "__kIMMentionConfirmedMention";
+const ATTR_LINK = "__kIMLinkAttributeName";
+const ATTR_FILE_GUID = "__kIMFileTransferGUIDAttributeName";
+const ATTR_FILENAME = "__kIMFilenameAttributeName";
+const ATTR_PART = "__kIMMessagePartAttributeName";
+
+class TypedStreamReader {
+  constructor(buf) {
+    this.buf = buf;
+    this.pos = 0;
+    this.sharedStrings = [];
+    this.objects = [];
+    this.root = null;
+  }
+
+  readHead() {
+    if (this.pos >= this.buf.length) throw new Error("Unexpected end of typedstream");
+    return this.buf.readInt8(this.pos++);
+  }
+
+  peekHead() {
+    if (this.pos >= this.buf.length) throw new Error("Unexpected end of typedstream");
+    return this.buf.readInt8(this.pos);
+  }
+
+  readBytes(length) {
+    if (length < 0 || this.pos + length > this.buf.length) {
+      throw new Error(`Byte run of ${length} overflows typedstream at ${this.pos}`);
+    }
+    const out = this.buf.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return out;
+  }
+
+  integerFromHead(head, unsigned) {
+    if (head === TAG_INTEGER_2) {
+      const v = unsigned ? this.buf.readUInt16LE(this.pos) : this.buf.readInt16LE(this.pos);
+      this.pos += 2;
+      return v;
+    }
+    if (head === TAG_INTEGER_4) {
+      const v = unsigned ? this.buf.readUInt32LE(this.pos) : this.buf.readInt32LE(this.pos);
+      this.pos += 4;
+      return v;
+    }
+    if (head >= FIRST_TAG && head <= LAST_TAG) {
+      throw new Error(`Unexpected tag ${head} where integer expected at ${this.pos - 1}`);
+    }
+    return unsigned ? head & 0xff : head;
+  }
+
+  readInteger(unsigned = false) {
+    return this.integerFromHead(this.readHead(), unsigned);
+  }
+
+  readReference(head, table) {
+    const ref = this.integerFromHead(head, false) - FIRST_REFERENCE_NUMBER;
+    if (ref < 0 || ref >= table.length) {
+      throw new Error(`Dangling reference ${ref} at ${this.pos - 1}`);
+    }
+    return table[ref];
+  }
+
+  readHeader() {
+    const version = this.readInteger();
+    const signature = this.readBytes(this.readInteger(true)).toString("latin1");
+    if (signature !== SIGNATURE) {
+      throw new Error(`Unsupported typedstream signature "${signature}"`);
+    }
+    const systemVersion = this.readInteger();
+    return { version, systemVersion };
+  }
+
+  readSharedString() {
+    const head = this.readHead();
+    if (head === TAG_NIL) return null;
+    if (head === TAG_NEW) {
+      const str = this.readBytes(this.readInteger(true)).toString("utf8");
+      this.sharedStrings.push(str);
+      return str;
+    }
+    return this.readReference(head, this.sharedStrings);
+  }
+
+  // C strings wrap a shared string and take an object reference number
+  readCString() {
+    const head = this.readHead();
+    if (head === TAG_NIL) return null;
+    if (head === TAG_NEW) {
+      const str = this.readSharedString();
+      this.objects.push(str);
+      return str;
+    }
+    return this.readReference(head, this.objects);
+  }
+
+  readClass() {
+    const head = this.readHead();
+    if (head === TAG_NIL) return null;
+    if (head === TAG_NEW) {
+      const name = this.readSharedString();
+      const version = this.readInteger();
+      const cls = { name, version, superclass: null };
+      this.objects.push(cls);
+      cls.superclass = this.readClass();
+      return cls;
+    }
+    return this.readReference(head, this.objects);
+  }
+
+  readObject() {
+    const head = this.readHead();
+    if (head === TAG_NIL) return null;
+    if (head === TAG_NEW) {
+      // Objects get their reference number before their class is read
+      const obj = { class: null, contents: [] };
+      this.objects.push(obj);
+      if (!this.root) this.root = obj;
+      obj.class = this.readClass();
+      while (this.peekHead() !== TAG_END_OF_OBJECT) {
+        obj.contents.push(this.readGroup());
+      }
+      this.pos++;
+      return obj;
+    }
+    return this.readReference(head, this.objects);
+  }
+
+  readValue(type) {
+    switch (type.kind) {
+      case "@": return this.readObject();
+      case "#": return this.readClass();
+      case "+": return this.readBytes(this.readInteger(true)).toString("utf8");
+      case "*":
+      case "%": return this.readCString();
+      case ":": return this.readSharedString();
+      case "c": case "s": case "i": case "l": case "q": case "B":
+        return this.readInteger(false);
+      case "C": case "S": case "I": case "L": case "Q":
+        return this.readInteger(true);
+      case "f":
+      case "d": {
+        const head = this.readHead();
+        if (head !== TAG_FLOATING_POINT) return this.integerFromHead(head, false);
+        const v = type.kind === "f" ? this.buf.readFloatLE(this.pos) : this.buf.readDoubleLE(this.pos);
+        this.pos += type.kind === "f" ? 4 : 8;
+        return v;
+      }
+      case "array":
+        if (type.elem.kind === "c" || type.elem.kind === "C") return this.readBytes(type.count);
+        return Array.from({ length: type.count }, () => this.readValue(type.elem));
+      case "struct":
+        return type.fields.map(f => this.readValue(f));
+      case "v":
+        return null;
+      default:
+        throw new Error(`Unsupported type encoding "${type.kind}"`);
+    }
+  }
+
+  readGroup() {
+    const encoding = this.readSharedString();
+    if (!encoding) throw new Error(`Missing type encoding at ${this.pos}`);
+    return parseEncoding(encoding).map(t => this.readValue(t));
+  }
+}
+
+/**
+ * Parse an Objective-C type encoding string ("@", "iI", "[12c]", "{_NSRange=QQ}")
+ */
+function parseEncoding(encoding) {
+  let i = 0;
+  const parseOne = () => {
+    const c = encoding[i++];
+    if (c === "[") {
+      let count = "";
+      while (/\d/.test(encoding[i])) count += encoding[i++];
+      const elem = parseOne();
+      i++; // ]
+      return { kind: "array", count: Number(count), elem };
+    }
+    if (c === "{") {
+      let name = "";
+      while (i < encoding.length && encoding[i] !== "=" && encoding[i] !== "}") name += encoding[i++];
+      const fields = [];
+      if (encoding[i] === "=") {
+        i++;
+        while (i < encoding.length && encoding[i] !== "}") fields.push(parseOne());
+      }
+      i++; // }
+      return { kind: "struct", name, fields };
+    }
+    return { kind: c };
+  };
+  const types = [];
+  while (i < encoding.length) types.push(parseOne());
+  return types;
+}
+
+function className(obj) {
+  return obj?.class?.name ?? null;
+}
+
+/**
+ * Convert a decoded archive object into a plain JS value
+ */
+function toPlain(value, seen = new Map()) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== "object" || Buffer.isBuffer(value)) return value;
+  if (Array.isArray(value)) return value.map(v => toPlain(v, seen));
+  if (!("contents" in value)) return { $class: value.name };
+  if (seen.has(value)) return seen.get(value);
+
+  const name = className(value);
+  const flat = value.contents.flat();
+  let out;
+
+  switch (name) {
+    case "NSString":
+    case "NSMutableString":
+      out = flat.find(v => typeof v === "string") ?? "";
+      break;
+    case "NSNumber": {
+      const nums = flat.filter(v => typeof v === "number");
+      out = nums.length > 0 ? nums[nums.length - 1] : null;
+      break;
+    }
+    case "NSURL":
+      out = flat.map(v => toPlain(v, seen)).find(v => typeof v === "string") ?? null;
+      break;
+    case "NSData":
+    case "NSMutableData":
+      out = flat.find(v => Buffer.isBuffer(v)) ?? Buffer.alloc(0);
+      break;
+    case "NSArray":
+    case "NSMutableArray":
+      out = [];
+      seen.set(value, out);
+      for (const item of flat.slice(1)) out.push(toPlain(item, seen));
+      break;
+    case "NSDictionary":
+    case "NSMutableDictionary":
+      out = {};
+      seen.set(value, out);
+      for (let i = 1; i + 1 < flat.length; i += 2) {
+        out[String(toPlain(flat[i], seen))] = toPlain(flat[i + 1], seen);
+      }
+      break;
+    default:
+      out = { $class: name, values: [] };
+      seen.set(value, out);
+      for (const v of flat) out.values.push(toPlain(v, seen));
+  }
+
+  seen.set(value, out);
+  return out;
+}
+
+/**
+ * Pull attribute runs out of a decoded NSAttributedString object.
+ * Runs are ("iI": dictionary number, length) pairs; a dictionary number we
+ * haven't seen yet is followed by the dictionary itself.
+ */
+function readRuns(root) {
+  const dictionaries = [];
+  const runs = [];
+  let offset = 0;
+  let awaiting = null;
+
+  for (const group of root.contents.slice(1)) {
+    if (group.length === 2 && typeof group[0] === "number" && typeof group[1] === "number") {
+      const [index, length] = group;
+      const run = { start: offset, length, attributes: dictionaries[index - 1] ?? null };
+      runs.push(run);
+      offset += length;
+      awaiting = run.attributes ? null : run;
+    } else if (awaiting && group[0] && typeof group[0] === "object") {
+      const attributes = toPlain(group[0]);
+      dictionaries.push(attributes);
+      awaiting.attributes = attributes;
+      awaiting = null;
+    }
+  }
+  return runs;
+}
+
+/**
+ * Last-resort text extraction for archives the strict reader can't walk:
+ * find the NSString class and read the "+" string that follows it.
+ */
+function fallbackText(buf) {
+  const start = buf.indexOf("NSString");
+  if (start === -1) return null;
+  const marker = buf.indexOf(Buffer.from([0x84, 0x01, 0x2b]), start);
+  if (marker === -1) return null;
+  try {
+    const reader = new TypedStreamReader(buf);
+    reader.pos = marker + 3;
+    return reader.readBytes(reader.readInteger(true)).toString("utf8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode `message.attributedBody` into its text plus iMessage attributes.
+ * Returns null when the blob is empty or holds no recoverable string.
+ *
+ * Offsets are in UTF-16 code units, so they index straight into `text`.
+ */
+export function decodeAttributedBody(blob) {
+  if (!blob || blob.length === 0) return null;
+  const buf = Buffer.isBuffer(blob) ? blob : Buffer.from(blob);
+
+  const reader = new TypedStreamReader(buf);
+  let partial = false;
+  try {
+    reader.readHeader();
+    reader.readGroup();
+  } catch {
+    partial = true;
+  }
+
+  const root = reader.root;
+  const stringObj = root?.contents[0]?.[0];
+  const text = stringObj ? toPlain(stringObj) : fallbackText(buf);
+  if (typeof text !== "string") return null;
+
+  const runs = root ? readRuns(root) : [];
+  const mentions = [];
+  const links = [];
+  const attachments = [];
+
+  for (const run of runs) {
+    const attrs = run.attributes;
+    if (!attrs) continue;
+    const slice = text.slice(run.start, run.start + run.length);
+    if (attrs[ATTR_MENTION]) {
+      mentions.push({ handle: attrs[ATTR_MENTION], text: slice, start: run.start, length: run.length });
+    }
+    if (attrs[ATTR_LINK]) {
+      links.push({ url: attrs[ATTR_LINK], text: slice, start: run.start, length: run.length });
+    }
+    if (attrs[ATTR_FILE_GUID]) {
+      attachments.push({
+        guid: attrs[ATTR_FILE_GUID],
+        name: attrs[ATTR_FILENAME] ?? null,
+        part: attrs[ATTR_PART] ?? null,
+        start: run.start
+      });
+    }
+  }
+
+  return { text, runs, mentions, links, attachments, partial };
+}
+
+/**
+ * Text with inline attachment markers removed - what a person actually typed
+ */
+export function visibleText(text) {
+  return (text ?? "").replaceAll(ATTACHMENT_CHAR, "").trim();
+}
@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import { parseTarget, isGroupChatId, buildSendTextScript, buildSendFileScript, buildWorkerCommand, osascriptArgs } from "../src/applescript.js";
+
+test("parseTarget: group prefix", () => {
+  assert.deepEqual(parseTarget("imessage-legacy:group:chat123456"), { group: true, chatIdentifier: "chat123456" });
+  // Anything after the group prefix is a group, whatever it looks like
+  assert.deepEqual(parseTarget("imessage-legacy:group:family"), { group: true, chatIdentifier: "family" });
+});
+
+test("parseTarget: chat GUIDs", () => {
+  assert.deepEqual(parseTarget("imessage-legacy:group:iMessage;+;chat123"), { group: true, chatGuid: "iMessage;+;chat123" });
+  assert.deepEqual(parseTarget("iMessage;+;chat123"), { group: true, chatGuid: "iMessage;+;chat123" });
+  assert.deepEqual(parseTarget("SMS;-;+15551234567"), { group: false, chatGuid: "SMS;-;+15551234567" });
+});
+
+test("parseTarget: bare chat identifier", () => {
+  assert.deepEqual(parseTarget("chat987"), { group: true, chatIdentifier: "chat987" });
+  assert.deepEqual(parseTarget("imessage-legacy:chat987"), { group: true, chatIdentifier: "chat987" });
+});
+
+test("parseTarget: handles", () => {
+  assert.deepEqual(parseTarget("imessage-legacy:+15551234567"), { group: false, handle: "+15551234567" });
+  assert.deepEqual(parseTarget("  someone@example.com "), { group: false, handle: "someone@example.com" });
+  assert.deepEqual(parseTarget(undefined), { group: false, handle: "" });
+});
+
+test("isGroupChatId", () => {
+  assert.equal(isGroupChatId("iMessage;+;chat1"), true);
+  assert.equal(isGroupChatId("chat1"), true);
+  assert.equal(isGroupChatId("iMessage;-;+15551234567"), false);
+  assert.equal(isGroupChatId("+15551234567"), false);
+  assert.equal(isGroupChatId(null), false);
+});
+
+test("text sends pick the chat-id script for a chat GUID, the buddy script otherwise", () => {
+  const toChat = buildSendTextScript({ chatGuid: "iMessage;+;chat123" }, "hi");
+  assert.match(toChat.script, /send theText to chat id \(item 3 of argv\)/);
+  assert.doesNotMatch(toChat.script, /buddy/);
+  assert.deepEqual(toChat.args, ["text", "hi", "iMessage;+;chat123"]);
+
+  const toBuddy = buildSendTextScript({ handle: "+15551234567" }, "hi");
+  assert.match(toBuddy.script, /send theText to buddy \(item 3 of argv\) of theService/);
+  assert.doesNotMatch(toBuddy.script, /chat id/);
+  assert.deepEqual(toBuddy.args, ["text", "hi", "+15551234567"]);
+});
+
+test("file sends pick the chat-id script for a chat GUID, the buddy script otherwise", () => {
+  const toChat = buildSendFileScript({ chatGuid: "iMessage;+;chat123" }, "/tmp/a.png");
+  assert.match(toChat.script, /send theFile to chat id \(item 3 of argv\)/);
+  assert.deepEqual(toChat.args, ["file", "/tmp/a.png", "iMessage;+;chat123"]);
+
+  const toBuddy = buildSendFileScript({ handle: "+15551234567" }, "/tmp/a.png");
+  assert.match(toBuddy.script, /send theFile to buddy \(item 3 of argv\) of theService/);
+  assert.deepEqual(toBuddy.args, ["file", "/tmp/a.png", "+15551234567"]);
+});
+
+test("a chat GUID wins over a handle", () => {
+  const { script, args } = buildSendTextScript({ chatGuid: "iMessage;-;+15551234567", handle: "+15551234567" }, "hi");
+  assert.match(script, /chat id/);
+  assert.equal(args[2], "iMessage;-;+15551234567");
+});
+
+test("osascriptArgs puts each script line behind -e", () => {
+  const argv = osascriptArgs(buildSendTextScript({ handle: "+15551234567" }, "hi"));
+  assert.deepEqual(argv.slice(0, 2), ["-e", "on run argv"]);
+  assert.deepEqual(argv.slice(-3), ["text", "hi", "+15551234567"]);
+});
+
+const HOSTILE = [
+  'say "hi"',
+  "it's",
+  "back\\slash \\\" \\n",
+  "line one\nline two\n\nend",
+  "windows\r\nline",
+  "-e",
+  "--help",
+  "-l JavaScript",
+  "end run",
+  '" & (do shell script "touch /tmp/pwned") & "',
+  "emoji 🎉👨‍👩‍👧 and ünïcödé, 中文, עברית",
+  "\u202Eright-to-left override",
+  "tab\there",
+  "nul\0byte",
+  ""
+];
+
+/**
+ * Script lines and trailing values of an osascript argv
+ */
+function splitArgv(argv) {
+  let i = 0;
+  const lines = [];
+  while (argv[i] === "-e") {
+    lines.push(argv[i + 1]);
+    i += 2;
+  }
+  return { lines, values: argv.slice(i) };
+}
+
+test("hostile text only ever shows up as a trailing argument", () => {
+  for (const target of [{ handle: "+15551234567" }, { chatGuid: "iMessage;+;chat123" }]) {
+    const fixed = osascriptArgs(buildSendTextScript(target, "x")).slice(0, -3);
+    for (const text of HOSTILE) {
+      const argv = osascriptArgs(buildSendTextScript(target, text));
+      const { lines, values } = splitArgv(argv);
+      // The script part is identical whatever the text is
+      assert.deepEqual(argv.slice(0, -3), fixed, JSON.stringify(text));
+      assert.equal(lines.length * 2, fixed.length);
+      assert.deepEqual(values, ["text", text.replace(/\r/g, "").replace(/\0/g, ""), target.chatGuid ?? target.handle]);
+    }
+  }
+});
+
+test("hostile file paths and recipients only ever show up as trailing arguments", () => {
+  const fixed = osascriptArgs(buildSendFileScript({ handle: "x" }, "x")).slice(0, -3);
+  for (const value of HOSTILE.filter(v => !v.includes("\0"))) {
+    const argv = osascriptArgs(buildSendFileScript({ handle: value }, `/tmp/${value}.png`));
+    assert.deepEqual(argv.slice(0, -3), fixed, JSON.stringify(value));
+    assert.deepEqual(argv.slice(-3), ["file", `/tmp/${value}.png`, value]);
+  }
+});
+
+test("the send kind comes first, so a value starting with - is never read as a flag", () => {
+  const { values } = splitArgv(osascriptArgs(buildSendTextScript({ handle: "+15551234567" }, "-e")));
+  assert.deepEqual(values, ["text", "-e", "+15551234567"]);
+});
+
+test("NUL bytes are dropped from text", () => {
+  assert.equal(buildSendTextScript({ handle: "+15551234567" }, "a\0b").args[1], "ab");
+  assert.equal(buildWorkerCommand({ handle: "+15551234567" }, { text: "a\0b" }).text, "ab");
+});
+
+test("every hostile argv survives a real execFile round trip", () => {
+  const echo = "process.stdout.write(JSON.stringify(process.argv.slice(1)))";
+  for (const text of HOSTILE) {
+    const { args } = buildSendTextScript({ handle: "+15551234567" }, text);
+    const out = execFileSync(process.execPath, ["-e", echo, "--", ...args], { encoding: "utf8" });
+    assert.deepEqual(JSON.parse(out), args, JSON.stringify(text));
+  }
+});
@@ -0,0 +1,43 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { isAttachmentReady, attachmentLimit } from "../src/attachments.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "imessage-attachments-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const file = (name, bytes) => {
+  const p = path.join(dir, name);
+  fs.writeFileSync(p, Buffer.alloc(bytes, 1));
+  return p;
+};
+
+test("missing and empty files aren't ready", () => {
+  assert.equal(isAttachmentReady(null, 100), false);
+  assert.equal(isAttachmentReady(path.join(dir, "nope.jpg"), 100), false);
+  assert.equal(isAttachmentReady(file("empty.jpg", 0), 100), false);
+});
+
+test("a file still being written is not ready until it reaches total_bytes", () => {
+  const p = file("photo.jpg", 4096);
+  assert.equal(isAttachmentReady(p, 10000), false);
+  fs.appendFileSync(p, Buffer.alloc(10000 - 4096, 1));
+  assert.equal(isAttachmentReady(p, 10000), true);
+});
+
+test("without a known total_bytes any non-empty file is ready", () => {
+  const p = file("voice.caf", 10);
+  assert.equal(isAttachmentReady(p), true);
+  assert.equal(isAttachmentReady(p, 0), true);
+  assert.equal(isAttachmentReady(p, null), true);
+});
+
+test("attachmentLimit picks the limit by major type", () => {
+  const limits = { image: 1, video: 2, default: 3 };
+  assert.equal(attachmentLimit("image/jpeg", limits), 1);
+  assert.equal(attachmentLimit("video/mp4", limits), 2);
+  assert.equal(attachmentLimit("application/pdf", limits), 3);
+  assert.equal(attachmentLimit(null, {}), Infinity);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { backfillEnabled, selectBackfillRows, formatBackfill } from "../src/backfill.js";
+import { createSchema } from "../src/schema.js";
+import { MACOS_14, createLayoutDb, appleDate } from "./fixtures/schemas.js";
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.UTC(2026, 0, 10, 12);
+
+/**
+ * A DM with six messages an hour apart (the third a tapback), plus one in another chat
+ */
+function historyDb() {
+  const db = createLayoutDb(MACOS_14);
+  db.exec(`
+    INSERT INTO handle (ROWID, id) VALUES (1, '+15551234567');
+    INSERT INTO chat (ROWID, chat_identifier) VALUES (1, '+15551234567'), (2, '+15559990000');
+  `);
+  const insert = db.prepare("INSERT INTO message (ROWID, text, handle_id, is_from_me, date, associated_message_type) VALUES (?, ?, ?, ?, ?, ?)");
+  const join = db.prepare("INSERT INTO chat_message_join (chat_id, message_id) VALUES (?, ?)");
+  const rows = [
+    [1, "one", 1, 0, 0],
+    [2, "two", 0, 1, 0],
+    [3, "tapback", 1, 0, 2000],
+    [4, "four", 1, 0, 0],
+    [5, "five", 0, 1, 0],
+    [6, "six", 1, 0, 0]
+  ];
+  for (const [rowId, text, handleId, fromMe, type] of rows) {
+    insert.run(rowId, text, handleId, fromMe, appleDate(now - (7 - rowId) * HOUR), type);
+    join.run(1, rowId);
+  }
+  insert.run(7, "elsewhere", 0, 0, appleDate(now), 0);
+  join.run(2, 7);
+  return db;
+}
+
+const schema = createSchema(MACOS_14);
+
+test("backfillEnabled", () => {
+  assert.equal(backfillEnabled(undefined), false);
+  assert.equal(backfillEnabled({ messages: 0 }), false);
+  assert.equal(backfillEnabled({ messages: 5 }), true);
+  assert.equal(backfillEnabled({ hours: 2 }), true);
+});
+
+test("rows before the current one, both directions, oldest first, without reactions", () => {
+  const rows = selectBackfillRows(historyDb(), schema, { chatIdentifier: "+15551234567", beforeRowId: 6, backfill: { messages: 10 }, now });
+  assert.deepEqual(rows.map(r => r.text), ["one", "two", "four", "five"]);
+  assert.deepEqual(rows.map(r => r.is_from_me), [0, 1, 0, 1]);
+  assert.equal(rows[0].sender, "+15551234567");
+});
+
+test("limited by message count and by age", () => {
+  const db = historyDb();
+  const select = (backfill) => selectBackfillRows(db, schema, { chatIdentifier: "+15551234567", beforeRowId: 7, backfill, now })
+    .map(r => r.text);
+  assert.deepEqual(select({ messages: 2 }), ["five", "six"]);
+  // Row 4 is 3 hours old, row 5 two
+  assert.deepEqual(select({ hours: 2.5 }), ["five", "six"]);
+  assert.deepEqual(select({ messages: 1, hours: 24 }), ["six"]);
+});
+
+test("works on a chat.db without reaction columns", () => {
+  const layout = { ...MACOS_14, message: MACOS_14.message.filter(c => !c.startsWith("associated_message")) };
+  const db = createLayoutDb(layout);
+  db.exec(`
+    INSERT INTO chat (ROWID, chat_identifier) VALUES (1, 'chat1');
+    INSERT INTO message (ROWID, text, is_from_me) VALUES (1, 'hi', 1);
+    INSERT INTO chat_message_join (chat_id, message_id) VALUES (1, 1);
+  `);
+  const rows = selectBackfillRows(db, createSchema(layout), { chatIdentifier: "chat1", beforeRowId: 2, backfill: { messages: 5 }, now });
+  assert.deepEqual(rows.map(r => [r.text, r.sender]), [["hi", null]]);
+});
+
+test("formatBackfill", () => {
+  assert.equal(formatBackfill([]), "");
+  assert.equal(formatBackfill([{ sender: "Alice", text: "hi" }, { sender: "You", text: "hey" }]),
+    "[Earlier in this conversation]\nAlice: hi\nYou: hey\n[End of earlier messages]");
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decodeKeyedArchive, parseBalloon } from "../src/balloons.js";
+import { writeBinaryPlist } from "./fixtures/bplist-writer.js";
+
+const URL_BALLOON = "com.apple.messages.URLBalloonProvider";
+
+/**
+ * A keyed archive around `objects`, with object 1 as the root
+ */
+const archive = (objects) => ({ $top: { root: { uid: 1 } }, $objects: ["$null", ...objects] });
+
+test("unwraps dictionaries, strings and URLs", () => {
+  const decoded = decodeKeyedArchive(archive([
+    { "NS.keys": [{ uid: 2 }, { uid: 3 }], "NS.objects": [{ uid: 4 }, { uid: 5 }], $class: { uid: 7 } },
+    "title",
+    "URL",
+    { "NS.string": "Example" },
+    { "NS.relative": { uid: 6 }, "NS.base": { uid: 0 } },
+    "https://example.com/",
+    { $classname: "NSDictionary" }
+  ]));
+  assert.deepEqual(decoded, { title: "Example", URL: "https://example.com/" });
+});
+
+test("cycles resolve to null", () => {
+  assert.deepEqual(decodeKeyedArchive(archive([{ "NS.objects": [{ uid: 1 }, { uid: 2 }] }, "x"])), [null, "x"]);
+});
+
+test("shared UIDs are unwrapped once, so a doubling chain stays fast", () => {
+  // Object i holds object i+1 fifty times: 50^9 paths to the leaf, 10 objects
+  const levels = 9;
+  const objects = Array.from({ length: levels }, (_, i) => ({ "NS.objects": Array(50).fill({ uid: i + 2 }) }));
+  objects.push("leaf");
+  const started = Date.now();
+  let value = decodeKeyedArchive(archive(objects));
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(value[0], value[49]);
+  for (let i = 0; i < levels; i++) value = value[0];
+  assert.equal(value, "leaf");
+});
+
+test("the number of values visited is capped", () => {
+  const wide = archive([{ "NS.objects": Array(60000).fill({ uid: 2 }) }, "x"]);
+  assert.throws(() => decodeKeyedArchive(wide), /too many values/);
+
+  // A link balloon with such a payload still comes back, just without its metadata
+  const payload = writeBinaryPlist([
+    { dict: [[1, 2], [3, 5]] },
+    { string: "$top" }, { dict: [[4, 6]] },
+    { string: "$objects" }, { string: "root" },
+    { array: [7, 8, 9] },
+    { uid: 1 },
+    { string: "$null" }, { array: Array(60000).fill(10) }, { string: "x" }, { uid: 2 }
+  ]);
+  assert.deepEqual(parseBalloon(URL_BALLOON, payload), { kind: "link" });
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseBinaryPlist, isBinaryPlist } from "../src/bplist.js";
+import { writeBinaryPlist } from "./fixtures/bplist-writer.js";
+
+test("reads dicts, arrays, strings, ints, data and UIDs", () => {
+  const buf = writeBinaryPlist([
+    { dict: [[1, 2], [3, 4], [5, 6]] },
+    { string: "name" }, { string: "Alice" },
+    { string: "list" }, { array: [7, 8] },
+    { string: "ref" }, { uid: 3 },
+    { int: 42 }, { data: Buffer.from("hi") }
+  ]);
+  assert.equal(isBinaryPlist(buf), true);
+  assert.deepEqual(parseBinaryPlist(buf), { name: "Alice", list: [42, Buffer.from("hi")], ref: { uid: 3 } });
+});
+
+test("shared references are parsed once, so a doubling chain stays fast", () => {
+  // Object i is [i+1, i+1]: 2^60 paths through the tree, 61 objects
+  const levels = 60;
+  const objects = Array.from({ length: levels }, (_, i) => ({ array: [i + 1, i + 1] }));
+  objects.push({ int: 7 });
+  const started = Date.now();
+  let value = parseBinaryPlist(writeBinaryPlist(objects));
+  assert.ok(Date.now() - started < 1000);
+  for (let i = 0; i < levels; i++) value = value[0];
+  assert.equal(value, 7);
+});
+
+test("reference cycles throw", () => {
+  assert.throws(() => parseBinaryPlist(writeBinaryPlist([{ array: [1] }, { array: [0] }])), /cycle/);
+});
+
+test("the number of references followed is capped", () => {
+  // One array holding the same string 150000 times
+  const buf = writeBinaryPlist([{ array: Array(150000).fill(1) }, { string: "x" }]);
+  assert.throws(() => parseBinaryPlist(buf), /too many references/);
+});
+
+test("containers can't point past the object table", () => {
+  const buf = writeBinaryPlist([{ array: [1] }, { int: 1 }]);
+  // Claim 14 items instead of 1
+  buf[8] = 0xAE;
+  assert.throws(() => parseBinaryPlist(buf), /past the object table/);
+});
+
+test("rejects what isn't a binary plist", () => {
+  assert.equal(isBinaryPlist(Buffer.from("bplist00")), false);
+  assert.throws(() => parseBinaryPlist(Buffer.alloc(64)), /Not a binary plist/);
+});
@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { appleTimestampToMs, enqueueWithCatchUp, formatCatchUpSummary, catchUpNote } from "../src/catchup.js";
+import { createInboundQueue } from "../src/inbound-queue.js";
+import { createSchema, buildMessageSelect } from "../src/schema.js";
+import { MACOS_14, createLayoutDb, appleDate } from "./fixtures/schemas.js";
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const now = Date.UTC(2026, 0, 10, 12);
+const maxAgeMs = 2 * HOUR;
+
+/**
+ * Two DMs after a night of downtime: three old messages from Alice, one old
+ * from Bob, then one live message from each, plus an undated row
+ */
+function backlogDb() {
+  const db = createLayoutDb(MACOS_14);
+  db.exec(`
+    INSERT INTO handle (ROWID, id) VALUES (1, '+15551234567'), (2, 'bob@example.com');
+    INSERT INTO chat (ROWID, chat_identifier) VALUES (1, '+15551234567'), (2, 'bob@example.com');
+  `);
+  const insert = db.prepare("INSERT INTO message (ROWID, text, handle_id, is_from_me, date) VALUES (?, ?, ?, 0, ?)");
+  const join = db.prepare("INSERT INTO chat_message_join (chat_id, message_id) VALUES (?, ?)");
+  const rows = [
+    [1, "night 1", 1, appleDate(now - 9 * HOUR)],
+    [2, "night 2", 2, appleDate(now - 8 * HOUR)],
+    [3, "night 3", 1, appleDate(now - 7 * HOUR)],
+    [4, "night 4", 1, appleDate(now - 6 * HOUR)],
+    [5, "morning", 1, appleDate(now - 5 * MIN)],
+    [6, "morning", 2, appleDate(now - MIN)],
+    [7, "undated", 2, 0]
+  ];
+  for (const [rowId, text, handleId, date] of rows) {
+    insert.run(rowId, text, handleId, date);
+    join.run(handleId, rowId);
+  }
+  return db;
+}
+
+const schema = createSchema(MACOS_14);
+const rows = backlogDb().prepare(`${buildMessageSelect(schema)} ORDER BY m.ROWID`).all();
+
+/**
+ * Feed every fixture row through the policy, the way the poller does
+ */
+function catchUp(mode, options = {}) {
+  const state = {};
+  const inbound = createInboundQueue(state);
+  const handled = rows.map(msg => enqueueWithCatchUp(inbound, state, msg, { rowId: msg.ROWID, chat: msg.chat_identifier }, { mode, maxAgeMs, now, ...options }));
+  return { state, inbound, handled };
+}
+
+test("appleTimestampToMs reads nanoseconds and pre-10.13 seconds", () => {
+  assert.equal(appleTimestampToMs(appleDate(now)), now);
+  assert.equal(appleTimestampToMs((now - Date.UTC(2001, 0, 1)) / 1000), now);
+  assert.equal(appleTimestampToMs(0), null);
+  assert.equal(appleTimestampToMs(null), null);
+});
+
+test("fresh and undated messages are queued as they are in every mode", () => {
+  for (const mode of ["replay", "skip", "summarize"]) {
+    const { state, handled } = catchUp(mode);
+    assert.deepEqual(handled.slice(4), ["live", "live", "live"], mode);
+    const live = state.queue.filter(e => e.rowId >= 5);
+    assert.deepEqual(live.map(e => e.rowId), [5, 6, 7], mode);
+    assert.ok(live.every(e => !e.catchUp), mode);
+  }
+});
+
+test("skip drops the backlog and counts it per chat", () => {
+  const { state, handled } = catchUp("skip");
+  assert.deepEqual(handled.slice(0, 4), ["skip", "skip", "skip", "skip"]);
+  assert.deepEqual(state.queue.map(e => e.rowId), [5, 6, 7]);
+  assert.deepEqual(state.skippedBacklog, { "+15551234567": { count: 3 }, "bob@example.com": { count: 1 } });
+});
+
+test("summarize collapses each chat's backlog into its first old message", () => {
+  const { state } = catchUp("summarize");
+  const collapsed = state.queue.filter(e => e.catchUp);
+  assert.deepEqual(collapsed.map(e => [e.rowId, e.chat, e.catchUp]), [
+    [1, "+15551234567", { mode: "summarize", rowIds: [1, 3, 4] }],
+    [2, "bob@example.com", { mode: "summarize", rowIds: [2] }]
+  ]);
+  assert.equal(state.skippedBacklog, undefined);
+});
+
+test("summarize starts a new turn once the pending one has been attempted", () => {
+  const state = {};
+  const inbound = createInboundQueue(state);
+  const options = { mode: "summarize", maxAgeMs, now };
+  const [first, , second] = rows;
+  enqueueWithCatchUp(inbound, state, first, { rowId: first.ROWID, chat: first.chat_identifier }, options);
+  inbound.fail(first.ROWID, new Error("gateway down"), now);
+  enqueueWithCatchUp(inbound, state, second, { rowId: second.ROWID, chat: second.chat_identifier }, options);
+  assert.deepEqual(state.queue.map(e => e.catchUp.rowIds), [[1], [3]]);
+});
+
+test("replay queues every old message tagged with when it was sent", () => {
+  const { state, handled } = catchUp("replay");
+  assert.deepEqual(handled.slice(0, 4), ["replay", "replay", "replay", "replay"]);
+  const replayed = state.queue.filter(e => e.catchUp);
+  assert.deepEqual(replayed.map(e => e.rowId), [1, 2, 3, 4]);
+  assert.deepEqual(replayed[0].catchUp, { mode: "replay", sentAt: now - 9 * HOUR });
+});
+
+test("the age cutoff: a message exactly maxAgeMs old is still live", () => {
+  const night4 = rows[3];
+  const options = { mode: "skip", maxAgeMs: 6 * HOUR, now };
+  const state = {};
+  const inbound = createInboundQueue(state);
+  assert.equal(enqueueWithCatchUp(inbound, state, night4, { rowId: 4, chat: night4.chat_identifier }, options), "live");
+  assert.equal(enqueueWithCatchUp(inbound, state, night4, { rowId: 40, chat: night4.chat_identifier }, { ...options, now: now + 1 }), "skip");
+
+  // A wider cutoff turns the whole night into live traffic
+  assert.deepEqual(catchUp("skip", { maxAgeMs: 12 * HOUR }).handled, rows.map(() => "live"));
+});
+
+test("formatCatchUpSummary", () => {
+  const sentAt = Date.UTC(2026, 0, 10, 3, 4);
+  assert.equal(
+    formatCatchUpSummary([{ sender: "Alice", text: "night 1", sentAt }, { sender: "Alice", text: "night 3", sentAt: sentAt + HOUR }]),
+    "[While you were away: 2 messages since 2026-01-10 03:04 UTC]\nAlice: night 1\nAlice: night 3"
+  );
+  assert.equal(formatCatchUpSummary([{ sender: "Bob", text: "hi" }]), "[While you were away: 1 message]\nBob: hi");
+});
+
+test("catchUpNote", () => {
+  assert.equal(catchUpNote(null), "");
+  assert.equal(catchUpNote({ mode: "replay", sentAt: now - 90 * MIN }, now),
+    "[Catch-up (replay): this message was sent 2 h ago, while the gateway was offline]");
+  assert.equal(catchUpNote({ mode: "replay", sentAt: now - 3 * 24 * HOUR }, now),
+    "[Catch-up (replay): this message was sent 3 days ago, while the gateway was offline]");
+  assert.equal(catchUpNote({ mode: "skip", count: 1 }),
+    "[Catch-up (skip): 1 older message was skipped while the gateway was offline]");
+  assert.equal(catchUpNote({ mode: "summarize", count: 3 }),
+    "[Catch-up (summarize): 3 messages received while the gateway was offline, collapsed into this turn]");
+});
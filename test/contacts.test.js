@@ -0,0 +1,79 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import Database from "better-sqlite3";
+import { createContactsIndex, findAddressBooks, displayName } from "../src/contacts.js";
+import { createHandleResolver } from "../src/handles.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "imessage-contacts-"));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const { normalize } = createHandleResolver();
+
+/**
+ * Write an AddressBook database. `people` are { first, last, org, nick, phones, emails }.
+ */
+function writeAddressBook(file, people, { nicknames = true } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.exec(`
+    CREATE TABLE ZABCDRECORD (Z_PK INTEGER PRIMARY KEY, ZFIRSTNAME, ZLASTNAME, ZORGANIZATION${nicknames ? ", ZNICKNAME" : ""});
+    CREATE TABLE ZABCDPHONENUMBER (Z_PK INTEGER PRIMARY KEY, ZOWNER, ZFULLNUMBER);
+    CREATE TABLE ZABCDEMAILADDRESS (Z_PK INTEGER PRIMARY KEY, ZOWNER, ZADDRESS);
+  `);
+  people.forEach((p, i) => {
+    const values = [i + 1, p.first ?? null, p.last ?? null, p.org ?? null];
+    db.prepare(`INSERT INTO ZABCDRECORD VALUES (?, ?, ?, ?${nicknames ? ", ?" : ""})`).run(...values, ...(nicknames ? [p.nick ?? null] : []));
+    for (const phone of p.phones ?? []) db.prepare("INSERT INTO ZABCDPHONENUMBER (ZOWNER, ZFULLNUMBER) VALUES (?, ?)").run(i + 1, phone);
+    for (const email of p.emails ?? []) db.prepare("INSERT INTO ZABCDEMAILADDRESS (ZOWNER, ZADDRESS) VALUES (?, ?)").run(i + 1, email);
+  });
+  db.close();
+}
+
+test("displayName", () => {
+  assert.equal(displayName({ ZFIRSTNAME: "Alice", ZLASTNAME: "Smith" }), "Alice Smith");
+  assert.equal(displayName({ ZFIRSTNAME: "Alice" }), "Alice");
+  assert.equal(displayName({ ZNICKNAME: "Al", ZORGANIZATION: "Acme" }), "Al");
+  assert.equal(displayName({ ZORGANIZATION: "Acme" }), "Acme");
+  assert.equal(displayName({}), null);
+});
+
+test("every source is read, and the top-level database comes first", () => {
+  const dir = path.join(root, "sources");
+  const sources = path.join(dir, "Sources");
+  writeAddressBook(path.join(dir, "AddressBook-v22.abcddb"), [{ first: "Local", last: "Alice", phones: ["(555) 123-4567"] }]);
+  writeAddressBook(path.join(sources, "A1", "AddressBook-v22.abcddb"), [
+    { first: "iCloud", last: "Alice", phones: ["+1 555 123 4567"] },
+    { org: "Acme Corp", emails: [" Sales@Acme.com "] }
+  ], { nicknames: false });
+  fs.mkdirSync(path.join(sources, "empty"));
+
+  assert.equal(findAddressBooks(sources).length, 2);
+  const contacts = createContactsIndex(sources, { normalize });
+  assert.deepEqual(contacts.lookup("+15551234567"), { name: "Local Alice", nickname: null });
+  assert.deepEqual(contacts.lookup("sales@ACME.com"), { name: "Acme Corp", nickname: null });
+  assert.equal(contacts.lookup("+15559990000"), null);
+  assert.equal(contacts.lookup(null), null);
+  assert.equal(contacts.size(), 2);
+});
+
+test("the index is rebuilt when a database changes", () => {
+  const sources = path.join(root, "changes", "Sources");
+  const file = path.join(sources, "A1", "AddressBook-v22.abcddb");
+  writeAddressBook(file, [{ first: "Bob", nick: "Bobby", phones: ["+15559990000"] }]);
+  const contacts = createContactsIndex(sources, { normalize, checkIntervalMs: 0 });
+  assert.deepEqual(contacts.lookup("+15559990000"), { name: "Bob", nickname: "Bobby" });
+
+  fs.rmSync(file);
+  writeAddressBook(file, [{ first: "Robert", phones: ["+15559990000"] }, { first: "Carol", phones: ["+15557770000"] }]);
+  assert.equal(contacts.lookup("+15559990000").name, "Robert");
+  assert.equal(contacts.size(), 2);
+});
+
+test("a missing Sources directory gives an empty index", () => {
+  const contacts = createContactsIndex(path.join(root, "none", "Sources"), { normalize });
+  assert.equal(contacts.size(), 0);
+  assert.equal(contacts.lookup("+15551234567"), null);
+});
@@ -0,0 +1,132 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import Database from "better-sqlite3";
+import { parseControlCommand, parseDuration, formatDuration, configuredOwners, createControlStore } from "../src/control.js";
+import { createHandleResolver } from "../src/handles.js";
+import { createGroupDirectory } from "../src/group-events.js";
+import { createSchema } from "../src/schema.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "imessage-control-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("parseDuration", () => {
+  assert.equal(parseDuration("90s"), 90 * 1000);
+  assert.equal(parseDuration(" 30m "), 30 * 60 * 1000);
+  assert.equal(parseDuration("2H"), 2 * 60 * 60 * 1000);
+  assert.equal(parseDuration("1d"), 24 * 60 * 60 * 1000);
+  assert.equal(parseDuration("1w"), 7 * 24 * 60 * 60 * 1000);
+  for (const bad of ["0m", "m", "1y", "1.5h", "-1h", "", null]) assert.equal(parseDuration(bad), null, String(bad));
+});
+
+test("formatDuration shows the two largest units", () => {
+  assert.equal(formatDuration(26 * 60 * 60 * 1000 + 5 * 60 * 1000), "1d 2h");
+  assert.equal(formatDuration(45 * 60 * 1000), "45m");
+  assert.equal(formatDuration(0), "0s");
+  assert.equal(formatDuration(-5), "0s");
+});
+
+test("parseControlCommand", () => {
+  assert.deepEqual(parseControlCommand("/pause"), { name: "pause" });
+  assert.deepEqual(parseControlCommand("  /STATUS  "), { name: "status" });
+  assert.deepEqual(parseControlCommand("/allow +1 (555) 999-0000"), { name: "allow", handle: "+1 (555) 999-0000" });
+  assert.deepEqual(parseControlCommand("/block"), { name: "block", usage: "/block <handle>" });
+  assert.deepEqual(parseControlCommand("/pause now"), { name: "pause", usage: "/pause" });
+  assert.deepEqual(parseControlCommand("/mute Book Club 2h"), { name: "mute", group: "Book Club", durationMs: 2 * 60 * 60 * 1000 });
+  assert.deepEqual(parseControlCommand("/mute family OFF"), { name: "mute", group: "family", durationMs: null });
+  assert.equal(parseControlCommand("/mute family").usage, "/mute <group> <duration, e.g. 30m, 2h, 1d or off>");
+  assert.equal(parseControlCommand("/mute family soon").usage, parseControlCommand("/mute family").usage);
+  assert.equal(parseControlCommand("/approve 123456"), null);
+  assert.equal(parseControlCommand("pause"), null);
+  assert.equal(parseControlCommand(undefined), null);
+});
+
+test("only configured owners are owners - never the allowlist or *", () => {
+  const handles = createHandleResolver({ identities: { alice: ["+15551234567"] } });
+  const config = { allowFrom: ["+15551234567", "*"] };
+  const none = configuredOwners(config.owners);
+  assert.deepEqual(none, []);
+  assert.equal(handles.isAllowed("+15551234567", none), false);
+
+  assert.deepEqual(configuredOwners(["*"]), []);
+  const owners = configuredOwners(["alice", "*"]);
+  assert.deepEqual(owners, ["alice"]);
+  assert.equal(handles.isAllowed("+15551234567", owners), true);
+  assert.equal(handles.isAllowed("+15559990000", owners), false);
+});
+
+test("allow and block undo each other and persist", () => {
+  const handles = createHandleResolver();
+  const file = path.join(dir, "allow-block.json");
+  const control = createControlStore(file, { normalize: handles.identityKey });
+  assert.equal(control.allow("(555) 999-0000", "+15551234567"), "+15559990000");
+  assert.equal(control.isAllowed("+15559990000"), true);
+  control.block("+15559990000", "+15551234567");
+  assert.equal(control.isAllowed("+15559990000"), false);
+  assert.equal(control.isBlocked("+1 555 999 0000"), true);
+
+  const restarted = createControlStore(file, { normalize: handles.identityKey });
+  assert.equal(restarted.isBlocked("+15559990000"), true);
+  assert.deepEqual(restarted.counts(), { allowed: 0, blocked: 1 });
+});
+
+test("mutes expire and are pruned", () => {
+  const file = path.join(dir, "mutes.json");
+  const control = createControlStore(file);
+  const now = Date.now();
+  control.mute("chat1", now + 1000, { name: "Family", by: "+15551234567" });
+  control.mute("chat2", now + 5000);
+  assert.equal(control.isMuted("chat1", now), true);
+  assert.deepEqual(control.mutes(now).map(m => m.chatId), ["chat1", "chat2"]);
+
+  assert.equal(control.isMuted("chat1", now + 1000), false);
+  assert.deepEqual(control.mutes(now + 1000).map(m => m.chatId), ["chat2"]);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, "utf8")).muted), ["chat2"]);
+
+  control.mute("chat2", null);
+  assert.equal(control.isMuted("chat2", now), false);
+});
+
+test("quietFor: group events are held while paused or while the group is muted", () => {
+  const control = createControlStore(path.join(dir, "quiet.json"));
+  const now = Date.now();
+  assert.equal(control.quietFor("chat1", now), null);
+  control.mute("chat1", now + 1000);
+  assert.equal(control.quietFor("chat1", now), "muted");
+  assert.equal(control.quietFor("chat2", now), null);
+  assert.equal(control.quietFor("chat1", now + 1000), null);
+  control.setPaused(true, "+15551234567");
+  assert.equal(control.quietFor("chat2", now), "paused");
+  control.setPaused(false);
+  assert.equal(control.quietFor("chat2", now), null);
+});
+
+/**
+ * A chat table with just these columns, holding two groups and a DM
+ */
+function chatDb(columns) {
+  const db = new Database(":memory:");
+  db.exec(`CREATE TABLE chat (ROWID INTEGER PRIMARY KEY, ${columns.join(", ")})`);
+  const insert = db.prepare(`INSERT INTO chat (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`);
+  const rows = [["chat111", "Family"], ["chat222", "Book Club"], ["+15551234567", null]];
+  for (const [id, name] of rows) insert.run(...columns.map(c => c === "chat_identifier" ? id : c === "display_name" ? name : null));
+  const schema = createSchema({ chat: ["ROWID", ...columns] });
+  return createGroupDirectory(db, schema);
+}
+
+test("groups are found by identifier or name, case-insensitively", () => {
+  const groups = chatDb(["guid", "chat_identifier", "display_name"]);
+  assert.deepEqual(groups.find("family"), [{ chatId: "chat111", name: "Family" }]);
+  assert.deepEqual(groups.find("chat222"), [{ chatId: "chat222", name: "Book Club" }]);
+  assert.deepEqual(groups.find("+15551234567"), []);
+  assert.deepEqual(groups.find("Nope"), []);
+});
+
+test("groups are found by identifier on a chat.db without group names", () => {
+  const groups = chatDb(["guid", "chat_identifier"]);
+  assert.deepEqual(groups.find("chat111"), [{ chatId: "chat111", name: null }]);
+  assert.deepEqual(groups.find("Family"), []);
+  assert.deepEqual(groups.get("chat111"), { name: null, participants: [] });
+});
@@ -0,0 +1,103 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { EventEmitter } from "events";
+import { nextPollDelay, watchChatDb } from "../src/db-watcher.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "imessage-watch-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test("nextPollDelay doubles while idle, up to the maximum", () => {
+  const limits = { minMs: 1000, maxMs: 10000 };
+  let delay = 0;
+  const delays = [];
+  for (let i = 0; i < 6; i++) {
+    delay = nextPollDelay(delay, { active: false, ...limits });
+    delays.push(delay);
+  }
+  assert.deepEqual(delays, [1000, 2000, 4000, 8000, 10000, 10000]);
+});
+
+test("nextPollDelay drops back to the minimum on activity", () => {
+  assert.equal(nextPollDelay(8000, { active: true, minMs: 1000, maxMs: 10000 }), 1000);
+  // A maximum below the minimum never makes polling faster than the minimum
+  assert.equal(nextPollDelay(1000, { active: false, minMs: 1000, maxMs: 500 }), 1000);
+});
+
+/**
+ * fs.watch stand-in: `emit(filename)` reports a change in the watched directory
+ */
+function fakeWatch() {
+  const watcher = Object.assign(new EventEmitter(), { closed: false, close() { this.closed = true; } });
+  const watch = (watchedDir, options, listener) => {
+    watcher.dir = watchedDir;
+    watcher.options = options;
+    watcher.listener = listener;
+    return watcher;
+  };
+  return { watch, watcher, emit: (filename) => watcher.listener("change", filename) };
+}
+
+test("changes to chat.db and its WAL are debounced into one callback", async () => {
+  const { watch, watcher, emit } = fakeWatch();
+  let changes = 0;
+  const handle = watchChatDb("/Users/me/Library/Messages/chat.db", { onChange: () => changes++, debounceMs: 20, watch });
+  assert.equal(watcher.dir, "/Users/me/Library/Messages");
+  assert.deepEqual(watcher.options, { persistent: false });
+
+  emit("chat.db-wal");
+  emit("chat.db");
+  emit("chat.db-wal");
+  await sleep(50);
+  assert.equal(changes, 1);
+
+  emit("chat.db-shm");
+  emit("other.db");
+  await sleep(50);
+  assert.equal(changes, 1);
+
+  // No file name reported counts as a change
+  emit(null);
+  await sleep(50);
+  assert.equal(changes, 2);
+  handle.close();
+  assert.equal(watcher.closed, true);
+});
+
+test("close cancels a pending callback, and watch errors are reported", async () => {
+  const { watch, watcher, emit } = fakeWatch();
+  let changes = 0;
+  const errors = [];
+  const warnings = [];
+  const handle = watchChatDb("/tmp/chat.db", {
+    onChange: () => changes++, onError: (err) => errors.push(err), debounceMs: 20, watch, log: { warn: (line) => warnings.push(line) }
+  });
+  emit("chat.db");
+  handle.close();
+  await sleep(50);
+  assert.equal(changes, 0);
+
+  watcher.emit("error", new Error("EMFILE"));
+  assert.equal(errors[0].message, "EMFILE");
+  assert.match(warnings[0], /Watching \/tmp failed: EMFILE/);
+});
+
+test("a real write to the WAL is noticed", async () => {
+  const db = path.join(dir, "chat.db");
+  fs.writeFileSync(db, "");
+  let changes = 0;
+  const handle = watchChatDb(db, { onChange: () => changes++, debounceMs: 10 });
+  await sleep(20);
+  fs.writeFileSync(`${db}-wal`, "x");
+  for (let i = 0; i < 50 && changes === 0; i++) await sleep(20);
+  handle.close();
+  assert.equal(changes, 1);
+});
+
+test("watching a missing directory throws", () => {
+  assert.throws(() => watchChatDb(path.join(dir, "missing", "chat.db"), { onChange: () => {} }));
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import { parseSummaryInfo, describeChange, formatChange } from "../src/edits.js";
+import { writePlistValue } from "./fixtures/bplist-writer.js";
+
+const body = (name) => Buffer.from(
+  fs.readFileSync(new URL(`./fixtures/attributed-body/${name}.hex`, import.meta.url), "utf8").replace(/\s+/g, ""),
+  "hex"
+);
+
+// "Hello", then edited to the link text
+const EDITED = writePlistValue({ ec: { 0: [{ d: 1, t: body("plain") }, { d: 2, t: body("link") }] } });
+
+test("parseSummaryInfo reads the edit history and retracted parts", () => {
+  assert.deepEqual(parseSummaryInfo(EDITED), { edits: { 0: ["Hello", "Look at https://example.com/a?b=1"] }, retractedParts: [] });
+  assert.deepEqual(parseSummaryInfo(writePlistValue({ rp: [0, 2] })), { edits: {}, retractedParts: [0, 2] });
+  assert.equal(parseSummaryInfo(null), null);
+  assert.equal(parseSummaryInfo(Buffer.from("not a plist")), null);
+});
+
+test("an edit reports the previous and current text", () => {
+  const change = describeChange({ date_edited: 700, message_summary_info: EDITED }, "Look at https://example.com/a?b=1");
+  assert.deepEqual(change, { kind: "edit", at: 700, previousText: "Hello", text: "Look at https://example.com/a?b=1" });
+  assert.equal(formatChange(change), '[Edited a message (was: "Hello")]\nLook at https://example.com/a?b=1');
+});
+
+test("an edit falls back to the history when the row has no text", () => {
+  const change = describeChange({ date_edited: 700, message_summary_info: EDITED }, "");
+  assert.equal(change.text, "Look at https://example.com/a?b=1");
+  assert.equal(describeChange({ date_edited: 700 }, "new").previousText, null);
+  assert.equal(formatChange({ kind: "edit", previousText: null, text: "new" }), "[Edited a message]\nnew");
+});
+
+test("an unsend keeps the last text only when the message was edited first", () => {
+  const edited = describeChange({ date_retracted: 800, date_edited: 700, message_summary_info: EDITED }, "");
+  assert.deepEqual(edited, { kind: "retract", at: 800, previousText: "Look at https://example.com/a?b=1", text: "" });
+  assert.equal(formatChange(edited), '[Unsent a message: "Look at https://example.com/a?b=1"]');
+
+  const plain = describeChange({ date_retracted: 800, message_summary_info: writePlistValue({ rp: [0] }) }, "");
+  assert.equal(plain.previousText, null);
+  assert.equal(formatChange(plain), "[Unsent a message]");
+});
+
+test("rows that were never changed", () => {
+  assert.equal(describeChange({ date_edited: 0, date_retracted: null }, "hi"), null);
+});
@@ -0,0 +1,72 @@
+/**
+ * Minimal binary plist writer for tests. Takes the object table directly, so
+ * tests can build shapes a normal encoder never would (shared refs, cycles):
+ *   { int }, { string }, { data }, { uid }, { array: [ref, ...] }, { dict: [[keyRef, valueRef], ...] }
+ * `top` is the root object's ref.
+ */
+export function writeBinaryPlist(objects, top = 0) {
+  const refSize = 2;
+  const ref = (r) => {
+    const b = Buffer.alloc(refSize);
+    b.writeUInt16BE(r);
+    return b;
+  };
+  const withLength = (type, length) => length < 15
+    ? Buffer.from([(type << 4) | length])
+    : Buffer.concat([Buffer.from([(type << 4) | 0xF, 0x12]), (() => { const b = Buffer.alloc(4); b.writeUInt32BE(length); return b; })()]);
+  const encode = (obj) => {
+    if ("int" in obj) {
+      const b = Buffer.alloc(5);
+      b[0] = 0x12;
+      b.writeUInt32BE(obj.int, 1);
+      return b;
+    }
+    if ("string" in obj) return Buffer.concat([withLength(0x5, obj.string.length), Buffer.from(obj.string, "latin1")]);
+    if ("data" in obj) return Buffer.concat([withLength(0x4, obj.data.length), obj.data]);
+    if ("uid" in obj) return Buffer.from([0x81, obj.uid >> 8, obj.uid & 0xff]);
+    if ("array" in obj) return Buffer.concat([withLength(0xA, obj.array.length), ...obj.array.map(ref)]);
+    if ("dict" in obj) {
+      return Buffer.concat([withLength(0xD, obj.dict.length), ...obj.dict.map(([k]) => ref(k)), ...obj.dict.map(([, v]) => ref(v))]);
+    }
+    throw new Error(`Can't encode ${JSON.stringify(obj)}`);
+  };
+
+  const chunks = [Buffer.from("bplist00", "latin1")];
+  const offsets = [];
+  let size = 8;
+  for (const obj of objects) {
+    const bytes = encode(obj);
+    offsets.push(size);
+    chunks.push(bytes);
+    size += bytes.length;
+  }
+  const table = Buffer.alloc(offsets.length * 4);
+  offsets.forEach((o, i) => table.writeUInt32BE(o, i * 4));
+  const trailer = Buffer.alloc(32);
+  trailer[6] = 4;
+  trailer[7] = refSize;
+  trailer.writeBigUInt64BE(BigInt(objects.length), 8);
+  trailer.writeBigUInt64BE(BigInt(top), 16);
+  trailer.writeBigUInt64BE(BigInt(size), 24);
+  return Buffer.concat([...chunks, table, trailer]);
+}
+
+/**
+ * Binary plist for a plain value: strings, non-negative integers, Buffers,
+ * arrays and objects. Nothing is shared, so every value gets its own object.
+ */
+export function writePlistValue(value) {
+  const objects = [];
+  const add = (v) => {
+    const index = objects.length;
+    objects.push(null);
+    if (typeof v === "string") objects[index] = { string: v };
+    else if (typeof v === "number") objects[index] = { int: v };
+    else if (Buffer.isBuffer(v)) objects[index] = { data: v };
+    else if (Array.isArray(v)) objects[index] = { array: v.map(add) };
+    else objects[index] = { dict: Object.entries(v).map(([k, item]) => [add(k), add(item)]) };
+    return index;
+  };
+  add(value);
+  return writeBinaryPlist(objects);
+}
@@ -0,0 +1,95 @@
+/**
+ * chat.db column layouts by macOS release, as `createSchema` takes them.
+ * ROWID is listed like `inspectSchema` lists it; everything else is the
+ * table's declared columns.
+ */
+
+import Database from "better-sqlite3";
+
+const HANDLE = ["ROWID", "id", "country", "service", "uncanonicalized_id", "person_centric_id"];
+
+const CHAT_MESSAGE_JOIN = ["chat_id", "message_id", "message_date"];
+const CHAT_HANDLE_JOIN = ["chat_id", "handle_id"];
+const MESSAGE_ATTACHMENT_JOIN = ["message_id", "attachment_id"];
+
+const ATTACHMENT = [
+  "ROWID", "guid", "created_date", "start_date", "filename", "uti", "mime_type", "transfer_state",
+  "is_outgoing", "user_info", "transfer_name", "total_bytes", "is_sticker", "sticker_user_info",
+  "attribution_info", "hide_attachment", "ck_sync_state", "ck_server_change_token_blob", "ck_record_id",
+  "original_guid", "sr_ck_sync_state", "sr_ck_server_change_token_blob", "sr_ck_record_id", "is_commsafety_sensitive"
+];
+
+const CHAT = [
+  "ROWID", "guid", "style", "state", "account_id", "properties", "chat_identifier", "service_name",
+  "room_name", "account_login", "is_archived", "last_addressed_handle", "display_name", "group_id",
+  "is_filtered", "successful_query", "engram_id", "server_change_token", "ck_sync_state", "original_group_id",
+  "last_read_message_timestamp", "cloudkit_record_id", "last_addressed_sim_id", "is_blackholed",
+  "syndication_date", "syndication_type"
+];
+
+// Big Sur: inline replies (thread_originator_guid), no edits or unsends yet
+const MESSAGE_11 = [
+  "ROWID", "guid", "text", "replace", "service_center", "handle_id", "subject", "country", "attributedBody",
+  "version", "type", "service", "account", "account_guid", "error", "date", "date_read", "date_delivered",
+  "is_delivered", "is_finished", "is_emote", "is_from_me", "is_empty", "is_delayed", "is_auto_reply",
+  "is_prepared", "is_read", "is_system_message", "is_sent", "has_dd_results", "is_service_message",
+  "is_forward", "was_downgraded", "is_archive", "cache_has_attachments", "cache_roomnames",
+  "was_data_detected", "was_deduplicated", "is_audio_message", "is_played", "date_played", "item_type",
+  "other_handle", "group_title", "group_action_type", "share_status", "share_direction", "is_expirable",
+  "expire_state", "message_action_type", "message_source", "associated_message_guid",
+  "associated_message_type", "balloon_bundle_id", "payload_data", "expressive_send_style_id",
+  "associated_message_range_location", "associated_message_range_length", "time_expressive_send_played",
+  "message_summary_info", "ck_sync_state", "ck_record_id", "ck_record_change_tag", "destination_caller_id",
+  "sr_ck_sync_state", "sr_ck_record_id", "sr_ck_record_change_tag", "is_corrupt", "reply_to_guid",
+  "sort_id", "is_spam", "has_unseen_mention", "thread_originator_guid", "thread_originator_part"
+];
+
+// Catalina: no inline replies yet, so none of the reply columns
+const MESSAGE_10_15 = MESSAGE_11.filter(c => !["reply_to_guid", "thread_originator_guid", "thread_originator_part"].includes(c));
+
+// Ventura: edit and unsend
+const MESSAGE_13 = [
+  ...MESSAGE_11,
+  "syndication_ranges", "synced_syndication_ranges", "was_delivered_quietly", "did_notify_recipient",
+  "date_retracted", "date_edited", "was_detonated", "part_count", "is_stewie", "is_kt_verified"
+];
+
+// Sonoma: more bookkeeping columns, still no emoji tapbacks
+const MESSAGE_14 = [
+  ...MESSAGE_13,
+  "is_sos", "is_critical", "bia_reference_id", "fallback_hash"
+];
+
+const layout = (message) => ({
+  message,
+  handle: HANDLE,
+  chat: CHAT,
+  chat_message_join: CHAT_MESSAGE_JOIN,
+  chat_handle_join: CHAT_HANDLE_JOIN,
+  attachment: ATTACHMENT,
+  message_attachment_join: MESSAGE_ATTACHMENT_JOIN
+});
+
+export const MACOS_10_15 = layout(MESSAGE_10_15);
+export const MACOS_11 = layout(MESSAGE_11);
+export const MACOS_13 = layout(MESSAGE_13);
+export const MACOS_14 = layout(MESSAGE_14);
+
+/**
+ * An empty in-memory chat.db with exactly these columns
+ */
+export function createLayoutDb(layout) {
+  const db = new Database(":memory:");
+  for (const [table, columns] of Object.entries(layout)) {
+    const declared = columns.filter(c => c !== "ROWID").map(c => `"${c}"`);
+    db.exec(`CREATE TABLE ${table} (${columns.includes("ROWID") ? "ROWID INTEGER PRIMARY KEY, " : ""}${declared.join(", ")})`);
+  }
+  return db;
+}
+
+/**
+ * chat.db `date` (nanoseconds since 2001-01-01) for a JS time
+ */
+export function appleDate(ms) {
+  return (ms - Date.UTC(2001, 0, 1)) * 1e6;
+}
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseGroupEvent, formatGroupEvent, groupLabel, createGroupDirectory } from "../src/group-events.js";
+import { createSchema, buildMessageSelect } from "../src/schema.js";
+import { MACOS_14, createLayoutDb } from "./fixtures/schemas.js";
+
+const row = (fields) => ({ sender: "+15551234567", is_from_me: 0, group_action_type: 0, ...fields });
+const names = { "+15551234567": "Alice", "+15559990000": "Bob" };
+const nameFor = (handle) => names[handle] ?? null;
+
+test("parseGroupEvent reads item_type and group_action_type", () => {
+  assert.deepEqual(parseGroupEvent(row({ item_type: 1, other_handle_id: "+15559990000" })),
+    { kind: "added", actor: "+15551234567", target: "+15559990000", title: null });
+  assert.equal(parseGroupEvent(row({ item_type: 1, group_action_type: 1 })).kind, "removed");
+  assert.deepEqual(parseGroupEvent(row({ item_type: 2, group_title: "Fam" })), { kind: "renamed", actor: "+15551234567", target: null, title: "Fam" });
+  assert.equal(parseGroupEvent(row({ item_type: 2, group_title: "" })).title, null);
+  assert.equal(parseGroupEvent(row({ item_type: 3 })).kind, "left");
+  assert.equal(parseGroupEvent(row({ item_type: 3, group_action_type: 1 })).kind, "photo-changed");
+  assert.equal(parseGroupEvent(row({ item_type: 3, group_action_type: 2 })).kind, "photo-removed");
+});
+
+test("the owner's own changes have no actor", () => {
+  assert.equal(parseGroupEvent(row({ item_type: 3, group_action_type: 1, is_from_me: 1 })).actor, null);
+});
+
+test("rows that aren't group events", () => {
+  assert.equal(parseGroupEvent(row({ item_type: 0 })), null);
+  assert.equal(parseGroupEvent(row({ item_type: 1, group_action_type: 5 })), null);
+  assert.equal(parseGroupEvent(row({ item_type: 3, group_action_type: 9 })), null);
+  assert.equal(parseGroupEvent(row({ item_type: 6 })), null);
+});
+
+test("formatGroupEvent uses contact names and the group's name", () => {
+  const format = (fields, groupName = "Family") => formatGroupEvent(parseGroupEvent(row(fields)), { groupName, nameFor });
+  assert.equal(format({ item_type: 1, other_handle_id: "+15559990000" }), 'Alice added Bob to "Family"');
+  assert.equal(format({ item_type: 1, group_action_type: 1, other_handle_id: "+15557770000" }), 'Alice removed +15557770000 from "Family"');
+  assert.equal(format({ item_type: 3 }, null), "Alice left the group");
+  assert.equal(format({ item_type: 2, group_title: "Fam" }), 'Alice renamed the group to "Fam"');
+  assert.equal(format({ item_type: 2, group_title: null }), "Alice removed the group's name");
+  assert.equal(format({ item_type: 3, group_action_type: 1, is_from_me: 1 }), 'You changed the photo of "Family"');
+  assert.equal(format({ item_type: 3, group_action_type: 2 }), 'Alice removed the photo of "Family"');
+});
+
+test("groupLabel falls back to member names", () => {
+  assert.equal(groupLabel({ name: "Family", participants: ["+15551234567"] }, nameFor), "Family");
+  assert.equal(groupLabel({ name: null, participants: ["+15551234567", "+15559990000"] }, nameFor), "Alice, Bob");
+  assert.equal(groupLabel({ participants: ["a", "b", "c", "d", "e"] }), "a, b, c +2");
+  assert.equal(groupLabel({ name: null }), null);
+});
+
+/**
+ * A group with two members, one added by the other
+ */
+function groupDb() {
+  const db = createLayoutDb(MACOS_14);
+  db.exec(`
+    INSERT INTO handle (ROWID, id) VALUES (1, '+15551234567'), (2, '+15559990000');
+    INSERT INTO chat (ROWID, chat_identifier, display_name) VALUES (1, 'chat111', 'Family');
+    INSERT INTO chat_handle_join (chat_id, handle_id) VALUES (1, 1), (1, 2);
+    INSERT INTO message (ROWID, guid, handle_id, is_from_me, item_type, group_action_type, other_handle) VALUES (1, 'g1', 1, 0, 1, 0, 2);
+    INSERT INTO chat_message_join (chat_id, message_id) VALUES (1, 1);
+  `);
+  return db;
+}
+
+test("an event row read with the message query parses", () => {
+  const db = groupDb();
+  const msg = db.prepare(`${buildMessageSelect(createSchema(MACOS_14))} WHERE m.ROWID = 1 GROUP BY m.ROWID`).get();
+  assert.deepEqual(parseGroupEvent(msg), { kind: "added", actor: "+15551234567", target: "+15559990000", title: null });
+});
+
+test("the group directory caches until refreshed", () => {
+  const db = groupDb();
+  const directory = createGroupDirectory(db, createSchema(MACOS_14));
+  assert.deepEqual(directory.get("chat111"), { name: "Family", participants: ["+15551234567", "+15559990000"] });
+
+  db.exec("UPDATE chat SET display_name = 'Fam' WHERE ROWID = 1; DELETE FROM chat_handle_join WHERE handle_id = 2");
+  assert.equal(directory.get("chat111").name, "Family");
+  assert.deepEqual(directory.refresh("chat111"), { name: "Fam", participants: ["+15551234567"] });
+  assert.deepEqual(directory.get("chat404"), { name: null, participants: [] });
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveGroupConfig, matchesKeyword, checkGroupTrigger, createGroupHistory, formatGroupHistory } from "../src/groups.js";
+import { createHandleResolver } from "../src/handles.js";
+
+const groups = {
+  "*": { requireMention: true, historyLimit: 5 },
+  Family: { keywords: ["jimmy"] },
+  chat123: { allow: false }
+};
+
+test("resolveGroupConfig: chat identifier, then name, then *", () => {
+  assert.deepEqual(resolveGroupConfig(groups, { chatId: "chat123", groupName: "Family" }), { requireMention: true, historyLimit: 5, allow: false });
+  assert.deepEqual(resolveGroupConfig(groups, { chatId: "chat999", groupName: " family " }), { requireMention: true, historyLimit: 5, keywords: ["jimmy"] });
+  assert.deepEqual(resolveGroupConfig(groups, { chatId: "chat999", groupName: "Work" }), { requireMention: true, historyLimit: 5 });
+  assert.deepEqual(resolveGroupConfig(undefined, { chatId: "chat123" }), {});
+});
+
+test("matchesKeyword matches whole words only", () => {
+  assert.equal(matchesKeyword("Hey Jimmy, you there?", ["jimmy"]), "jimmy");
+  assert.equal(matchesKeyword("jimmy", ["jimmy"]), "jimmy");
+  assert.equal(matchesKeyword("jimmyjohns for lunch", ["jimmy"]), null);
+  assert.equal(matchesKeyword("ask c++ people", ["c++"]), "c++");
+  assert.equal(matchesKeyword("héjimmy", ["jimmy"]), null);
+  assert.equal(matchesKeyword("", ["jimmy"]), null);
+  assert.equal(matchesKeyword("jimmy", []), null);
+});
+
+test("groups that don't require a mention always trigger", () => {
+  assert.deepEqual(checkGroupTrigger({}, { text: "anything" }), { triggered: true, reason: "always" });
+});
+
+test("with requireMention, replies, mentions and keywords trigger", () => {
+  const cfg = { requireMention: true };
+  const handles = createHandleResolver();
+  const options = { keywords: ["jimmy"], selfHandles: ["(555) 123-4567"], normalize: handles.normalize };
+
+  assert.deepEqual(checkGroupTrigger(cfg, { text: "ok", isReplyToSelf: true }, options), { triggered: true, reason: "reply" });
+  assert.deepEqual(checkGroupTrigger(cfg, { text: "@Me hi", mentions: [{ handle: "+15551234567", text: "@Me" }] }, options), { triggered: true, reason: "mention" });
+  assert.deepEqual(checkGroupTrigger(cfg, { text: "@Jimmy hi", mentions: [{ handle: "+15559990000", text: "@Jimmy" }] }, options), { triggered: true, reason: "mention" });
+  assert.deepEqual(checkGroupTrigger(cfg, { text: "what does jimmy think" }, options), { triggered: true, reason: "keyword:jimmy" });
+  assert.deepEqual(checkGroupTrigger(cfg, { text: "@Bob hi", mentions: [{ handle: "+15559990000", text: "@Bob" }] }, options), { triggered: false, reason: null });
+});
+
+test("a group's own keywords replace the global ones", () => {
+  const cfg = { requireMention: true, keywords: ["bot"] };
+  assert.equal(checkGroupTrigger(cfg, { text: "jimmy?" }, { keywords: ["jimmy"] }).triggered, false);
+  assert.equal(checkGroupTrigger(cfg, { text: "bot?" }, { keywords: ["jimmy"] }).reason, "keyword:bot");
+});
+
+test("group history keeps the latest entries per chat until taken", () => {
+  const history = createGroupHistory();
+  for (const n of [1, 2, 3]) history.record("chat1", { sender: "Alice", text: `m${n}` }, 2);
+  history.record("chat2", { sender: "Bob", text: "other" });
+  const taken = history.take("chat1");
+  assert.deepEqual(taken.map(e => e.text), ["m2", "m3"]);
+  assert.deepEqual(history.take("chat1"), []);
+  assert.equal(formatGroupHistory(taken), "[Recent messages in this group]\nAlice: m2\nAlice: m3\n[End of recent messages]");
+  assert.equal(formatGroupHistory([]), "");
+});
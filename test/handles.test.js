@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeHandle, createHandleResolver } from "../src/handles.js";
+
+const cases = [
+  // [input, country, expected]
+  ["+1 (555) 123-4567", "US", "+15551234567"],
+  ["(555) 123-4567", "US", "+15551234567"],
+  ["1-555-123-4567", "US", "+15551234567"],
+  ["011 44 7700 900123", "US", "+447700900123"],
+  ["555-1234", "US", null],
+  ["12345", "US", "12345"],
+  ["+44 (0) 7700 900123", "US", "+447700900123"],
+  ["+44 (0)20 7946 0958", "GB", "+442079460958"],
+  ["07700 900123", "GB", "+447700900123"],
+  ["7700 900123", "GB", "+447700900123"],
+  ["44 7700 900123", "GB", "+447700900123"],
+  ["0044 7700 900123", "GB", "+447700900123"],
+  ["(0) 7700 900123", "GB", "+447700900123"],
+  ["333 1234567", "IT", "+393331234567"],
+  ["39 333 1234567", "IT", "+393331234567"],
+  ["393 123 4567", "IT", "+393931234567"],
+  ["0151 23456789", "DE", "+4915123456789"],
+  ["49 151 23456789", "DE", "+4915123456789"],
+  ["06 12 34 56 78", "FR", "+33612345678"],
+  ["8 916 123-45-67", "RU", "+79161234567"],
+  ["0412 345 678", "AU", "+61412345678"],
+  ["0412 345", "AU", null],
+  ["  Alice@iCloud.com ", "US", "alice@icloud.com"],
+  ["alice", "US", "alice"],
+  ["*", "US", "*"],
+  ["", "US", null],
+  ["---", "US", null]
+];
+
+test("normalizeHandle", () => {
+  for (const [input, country, expected] of cases) {
+    assert.equal(normalizeHandle(input, country), expected, `${JSON.stringify(input)} in ${country}`);
+  }
+});
+
+test("identities group handles under one key", () => {
+  const handles = createHandleResolver({ defaultCountry: "GB", identities: { alice: ["07700 900123", "Alice@icloud.com"] } });
+  assert.equal(handles.identityKey("+447700900123"), "alice");
+  assert.equal(handles.identityKey("alice@icloud.com"), "alice");
+  assert.equal(handles.identityKey("+447700900999"), "+447700900999");
+  assert.equal(handles.isAllowed("alice@icloud.com", ["+44 7700 900123"]), true);
+});
+
+test("numbers that don't parse never match each other", () => {
+  const handles = createHandleResolver({ defaultCountry: "US" });
+  assert.equal(handles.isAllowed("555-1234", ["555-9999"]), false);
+  assert.equal(handles.isAllowed("555-1234", ["555-1234"]), true);
+});
+
+test("handlesOf expands identity names into sendable handles", () => {
+  const handles = createHandleResolver({ defaultCountry: "US", identities: { alice: ["(555) 123-4567", "Alice@icloud.com"] } });
+  assert.deepEqual(handles.handlesOf("alice"), ["+15551234567", "alice@icloud.com"]);
+  assert.deepEqual(handles.handlesOf("(555) 123-4567"), ["+15551234567"]);
+  assert.deepEqual(handles.handlesOf("bob"), []);
+  assert.deepEqual(handles.handlesOf("*"), []);
+  assert.deepEqual(handles.handlesOf("555-1234"), []);
+});
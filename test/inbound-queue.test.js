@@ -0,0 +1,150 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { createInboundQueue, retryDelay } from "../src/inbound-queue.js";
+import { writeJsonAtomic, readJson, createJsonWriter } from "../src/state.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "imessage-state-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("entries are kept in ROWID order and enqueued once", () => {
+  const state = {};
+  const queue = createInboundQueue(state);
+  queue.enqueue({ rowId: 3, chat: "a" });
+  queue.enqueue({ rowId: 1, chat: "b" });
+  queue.enqueue({ rowId: 3, chat: "a" });
+  // An edit of ROWID 1 seen after ROWID 3 was read
+  queue.enqueue({ id: "1:edit:5", rowId: 1, order: 3.5, chat: "b" });
+  assert.deepEqual(state.queue.map(e => e.id ?? e.rowId), [1, 3, "1:edit:5"]);
+  assert.equal(queue.size(), 3);
+  assert.deepEqual(state.queue[0], { attempts: 0, nextAttemptAt: 0, rowId: 1, chat: "b" });
+});
+
+test("ack removes an entry", () => {
+  const queue = createInboundQueue({});
+  queue.enqueue({ rowId: 1, chat: "a" });
+  queue.enqueue({ id: "1:edit:5", rowId: 1, order: 1.5, chat: "a" });
+  queue.ack("1:edit:5");
+  assert.deepEqual(queue.due(0).map(e => e.rowId), [1]);
+  queue.ack(1);
+  assert.equal(queue.size(), 0);
+});
+
+test("failures back off exponentially and dead-letter after maxAttempts", () => {
+  const state = {};
+  const queue = createInboundQueue(state, { maxAttempts: 3, retryBaseMs: 100, retryMaxMs: 150 });
+  queue.enqueue({ rowId: 1, chat: "a" });
+
+  assert.deepEqual(queue.fail(1, new Error("boom"), 1000), { entry: state.queue[0], deadLettered: false });
+  assert.equal(state.queue[0].nextAttemptAt, 1100);
+  assert.equal(state.queue[0].lastError, "boom");
+  queue.fail(1, new Error("boom"), 2000);
+  assert.equal(state.queue[0].nextAttemptAt, 2150);
+
+  const { entry, deadLettered } = queue.fail(1, new Error("still boom"), 3000);
+  assert.equal(deadLettered, true);
+  assert.equal(entry.attempts, 3);
+  assert.equal(queue.size(), 0);
+  assert.equal(state.deadLetters.length, 1);
+  assert.equal(state.deadLetters[0].failedAt, 3000);
+  assert.equal(state.deadLetters[0].lastError, "still boom");
+  assert.deepEqual(queue.fail(1, new Error("gone")), { entry: null, deadLettered: false });
+});
+
+test("the dead-letter list is capped", () => {
+  const state = {};
+  const queue = createInboundQueue(state, { maxAttempts: 1, deadLetterLimit: 2 });
+  for (const rowId of [1, 2, 3]) {
+    queue.enqueue({ rowId, chat: "a" });
+    queue.fail(rowId, new Error("x"));
+  }
+  assert.deepEqual(state.deadLetters.map(e => e.rowId), [2, 3]);
+});
+
+test("due returns ready entries oldest first and holds back a chat behind a backing-off entry", () => {
+  const queue = createInboundQueue({}, { retryBaseMs: 1000 });
+  queue.enqueue({ rowId: 1, chat: "a" });
+  queue.enqueue({ rowId: 2, chat: "b" });
+  queue.enqueue({ rowId: 3, chat: "a" });
+  queue.enqueue({ rowId: 4, chat: "b" });
+  queue.fail(1, new Error("x"), 0);
+
+  assert.deepEqual(queue.due(500).map(e => e.rowId), [2, 4]);
+  assert.deepEqual(queue.due(1000).map(e => e.rowId), [1, 2, 3, 4]);
+});
+
+test("defer puts an entry off without counting an attempt", () => {
+  const queue = createInboundQueue({});
+  queue.enqueue({ rowId: 1, chat: "a" });
+  queue.defer(1, 2000, 1000);
+  const entry = queue.defer(1, 3000, 1500);
+  assert.equal(entry.attempts, 0);
+  assert.equal(entry.deferredSince, 1000);
+  assert.deepEqual(queue.due(2500), []);
+  assert.equal(queue.defer(99, 0), null);
+});
+
+test("retryDelay doubles up to the maximum", () => {
+  assert.deepEqual([0, 1, 2, 3, 10].map(n => retryDelay(n, 100, 500)), [100, 100, 200, 400, 500]);
+});
+
+test("the queue survives a restart through the state file", () => {
+  const file = path.join(dir, "restart.json");
+  const state = { lastRowId: 7, processedIds: [] };
+  const queue = createInboundQueue(state, { retryBaseMs: 1000 });
+  queue.enqueue({ rowId: 6, chat: "a" });
+  queue.enqueue({ rowId: 7, chat: "b" });
+  queue.fail(6, new Error("boom"), 5000);
+  writeJsonAtomic(file, state);
+
+  const restored = readJson(file, {});
+  const again = createInboundQueue(restored, { retryBaseMs: 1000 });
+  assert.equal(restored.lastRowId, 7);
+  assert.equal(again.size(), 2);
+  assert.deepEqual(again.due(5500).map(e => e.rowId), [7]);
+  assert.equal(again.find(e => e.rowId === 6).attempts, 1);
+  assert.deepEqual(again.due(6000).map(e => e.rowId), [6, 7]);
+});
+
+test("writeJsonAtomic replaces the file through a temp file and leaves nothing behind", () => {
+  const file = path.join(dir, "nested", "state.json");
+  writeJsonAtomic(file, { n: 1 });
+  writeJsonAtomic(file, { n: 2 });
+  assert.deepEqual(readJson(file, null), { n: 2 });
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ["state.json"]);
+});
+
+test("a failed write keeps the previous file", () => {
+  const file = path.join(dir, "failed.json");
+  writeJsonAtomic(file, { n: 1 });
+  assert.throws(() => writeJsonAtomic(file, { n: 2n }), TypeError);
+  assert.deepEqual(readJson(file, null), { n: 1 });
+  assert.deepEqual(fs.readdirSync(dir).filter(f => f.startsWith(".failed.json")), []);
+});
+
+test("readJson falls back on a missing or corrupt file", () => {
+  const errors = [];
+  const file = path.join(dir, "corrupt.json");
+  fs.writeFileSync(file, '{"lastRowId": 4');
+  assert.deepEqual(readJson(path.join(dir, "missing.json"), { lastRowId: 0 }), { lastRowId: 0 });
+  assert.deepEqual(readJson(file, { lastRowId: 0 }, { error: (line) => errors.push(line) }), { lastRowId: 0 });
+  assert.equal(errors.length, 1);
+});
+
+test("createJsonWriter only writes when the data changed", () => {
+  const file = path.join(dir, "writer.json");
+  const write = createJsonWriter(file);
+  const state = { lastRowId: 1, queue: [] };
+  assert.equal(write(state), true);
+  const { mtimeMs } = fs.statSync(file);
+  fs.utimesSync(file, new Date(0), new Date(0));
+  assert.equal(write(state), false);
+  assert.equal(fs.statSync(file).mtimeMs, 0);
+
+  state.lastRowId = 2;
+  assert.equal(write(state), true);
+  assert.ok(fs.statSync(file).mtimeMs >= mtimeMs);
+  assert.deepEqual(readJson(file, null), { lastRowId: 2, queue: [] });
+});
@@ -0,0 +1,125 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import * as http from "http";
+import { createMediaCache, sniffMediaType } from "../src/media.js";
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(56)]);
+const PDF = Buffer.from("%PDF-1.4\n% not really a pdf\n");
+const MAX_BYTES = 1024;
+
+let server;
+let base;
+let dir;
+const hits = {};
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "imessage-media-"));
+  server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] ?? 0) + 1;
+    switch (req.url) {
+      case "/photo":
+        res.writeHead(200, { "content-type": "image/png", "content-length": PNG.length });
+        return res.end(PNG);
+      case "/lying-pdf":
+        // The server's Content-Type is ignored, the bytes decide
+        res.writeHead(200, { "content-type": "image/png" });
+        return res.end(PDF);
+      case "/page":
+        res.writeHead(200, { "content-type": "image/png" });
+        return res.end("<!doctype html><html></html>");
+      case "/declared-too-large":
+        res.writeHead(200, { "content-length": MAX_BYTES * 4 });
+        return res.end(Buffer.concat([PNG, Buffer.alloc(MAX_BYTES * 4 - PNG.length)]));
+      case "/chunked-too-large":
+        // No Content-Length, so only the running count can stop it
+        res.writeHead(200, { "content-type": "image/png" });
+        res.write(PNG);
+        for (let i = 0; i < 4; i++) res.write(Buffer.alloc(MAX_BYTES / 2));
+        return res.end();
+      default:
+        res.writeHead(404);
+        return res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const cacheIn = (name, options = {}) => createMediaCache({ dir: path.join(dir, name), maxBytes: MAX_BYTES, ...options });
+const leftovers = (cache) => fs.readdirSync(cache.dir).filter(f => f.endsWith(".part"));
+
+test("sniffMediaType reads the first bytes", () => {
+  assert.deepEqual(sniffMediaType(PNG), { mime: "image/png", ext: ".png" });
+  assert.deepEqual(sniffMediaType(PDF), { mime: "application/pdf", ext: ".pdf" });
+  assert.equal(sniffMediaType(Buffer.from("<html>")), null);
+  assert.equal(sniffMediaType(Buffer.from("ab")), null);
+});
+
+test("downloads a file, names it after its sniffed type and serves repeats from the cache", async () => {
+  const cache = cacheIn("hit");
+  const file = await cache.fetchMedia(`${base}/photo`);
+  assert.equal(path.extname(file), ".png");
+  assert.deepEqual(fs.readFileSync(file), PNG);
+
+  assert.equal(await cache.fetchMedia(`${base}/photo`), file);
+  assert.equal(hits["/photo"], 1);
+  assert.deepEqual(leftovers(cache), []);
+});
+
+test("the type comes from the bytes, not the Content-Type", async () => {
+  const file = await cacheIn("sniff").fetchMedia(`${base}/lying-pdf`);
+  assert.equal(path.extname(file), ".pdf");
+});
+
+test("unrecognized and disallowed types are rejected", async () => {
+  const cache = cacheIn("types", { allowedTypes: ["image/*"] });
+  await assert.rejects(cache.fetchMedia(`${base}/page`), { code: "MEDIA_TYPE", message: "Unrecognized media type" });
+  await assert.rejects(cache.fetchMedia(`${base}/lying-pdf`), { code: "MEDIA_TYPE", message: "Media type application/pdf is not allowed" });
+  assert.deepEqual(fs.readdirSync(cache.dir), []);
+});
+
+test("files over the size cap are rejected, with or without a Content-Length", async () => {
+  const cache = cacheIn("size");
+  await assert.rejects(cache.fetchMedia(`${base}/declared-too-large`), { code: "MEDIA_TOO_LARGE" });
+  await assert.rejects(cache.fetchMedia(`${base}/chunked-too-large`), { code: "MEDIA_TOO_LARGE" });
+  assert.deepEqual(fs.readdirSync(cache.dir), []);
+});
+
+test("failed downloads and non-http URLs", async () => {
+  const cache = cacheIn("errors");
+  await assert.rejects(cache.fetchMedia(`${base}/missing`), { code: "MEDIA_DOWNLOAD", message: "Download failed: HTTP 404" });
+  await assert.rejects(cache.fetchMedia("file:///etc/passwd"), { code: "MEDIA_DOWNLOAD" });
+  assert.deepEqual(leftovers(cache), []);
+});
+
+test("sweep removes files older than the TTL and keeps recent ones", async () => {
+  const cache = cacheIn("sweep", { ttlMs: 60 * 1000 });
+  const file = await cache.fetchMedia(`${base}/photo`);
+  const partial = path.join(cache.dir, ".abandoned.part");
+  fs.writeFileSync(partial, "x");
+
+  assert.equal(cache.sweep(), 0);
+  assert.equal(cache.sweep(Date.now() + 2 * 60 * 1000), 2);
+  assert.equal(fs.existsSync(file), false);
+  assert.equal(fs.existsSync(partial), false);
+});
+
+test("a cache hit counts as a use for the sweep", async () => {
+  const cache = cacheIn("touch", { ttlMs: 60 * 1000 });
+  const file = await cache.fetchMedia(`${base}/photo`);
+  const old = new Date(Date.now() - 10 * 60 * 1000);
+  fs.utimesSync(file, old, old);
+
+  await cache.fetchMedia(`${base}/photo`);
+  assert.equal(cache.sweep(), 0);
+  assert.equal(fs.existsSync(file), true);
+});
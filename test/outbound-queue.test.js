@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createOutboundQueue } from "../src/outbound-queue.js";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const transient = () => new Error("osascript execution error: AppleEvent timed out. (-1712)");
+const noSpacing = { minIntervalMs: 0, perRecipientIntervalMs: 0 };
+
+test("sends to one chat run in order, even when an earlier one is slower or fails", async () => {
+  const queue = createOutboundQueue({ ...noSpacing, maxAttempts: 1 });
+  const order = [];
+  const send = (name, ms, fail = false) => queue.enqueue("chat", async () => {
+    await sleep(ms);
+    order.push(name);
+    if (fail) throw new Error("osascript failed (1)");
+    return name;
+  });
+  const results = await Promise.allSettled([send("a", 40), send("b", 0, true), send("c", 10)]);
+  assert.deepEqual(order, ["a", "b", "c"]);
+  assert.deepEqual(results.map(r => r.status), ["fulfilled", "rejected", "fulfilled"]);
+  assert.equal(results[2].value, "c");
+});
+
+test("different chats don't wait for each other's sends", async () => {
+  const queue = createOutboundQueue(noSpacing);
+  const order = [];
+  const slow = queue.enqueue("a", async () => { await sleep(60); order.push("a"); });
+  const fast = queue.enqueue("b", async () => { order.push("b"); });
+  await Promise.all([slow, fast]);
+  assert.deepEqual(order, ["b", "a"]);
+});
+
+test("every send waits for the global interval", async () => {
+  const queue = createOutboundQueue({ minIntervalMs: 50, perRecipientIntervalMs: 0 });
+  const started = [];
+  await Promise.all(["a", "b", "c"].map(key => queue.enqueue(key, async () => { started.push(Date.now()); })));
+  assert.ok(started[1] - started[0] >= 45, `${started[1] - started[0]}ms`);
+  assert.ok(started[2] - started[1] >= 45, `${started[2] - started[1]}ms`);
+});
+
+test("sends to one recipient wait for the per-recipient interval, others don't", async () => {
+  const queue = createOutboundQueue({ minIntervalMs: 0, perRecipientIntervalMs: 80 });
+  const started = {};
+  const t0 = Date.now();
+  const track = (key, name) => queue.enqueue(key, async () => { started[name] = Date.now() - t0; });
+  await Promise.all([track("a", "a1"), track("a", "a2"), track("b", "b1")]);
+  assert.ok(started.a2 - started.a1 >= 75, `${started.a2 - started.a1}ms`);
+  assert.ok(started.b1 < 40, `${started.b1}ms`);
+});
+
+test("transient failures are retried with doubling backoff", async () => {
+  const warnings = [];
+  const queue = createOutboundQueue({ ...noSpacing, maxAttempts: 3, retryBaseMs: 30, log: { warn: (line) => warnings.push(line) } });
+  const attempts = [];
+  const result = await queue.enqueue("chat", async () => {
+    attempts.push(Date.now());
+    if (attempts.length < 3) throw transient();
+    return "sent";
+  });
+  assert.equal(result, "sent");
+  assert.equal(attempts.length, 3);
+  assert.ok(attempts[1] - attempts[0] >= 25, `${attempts[1] - attempts[0]}ms`);
+  assert.ok(attempts[2] - attempts[1] >= 55, `${attempts[2] - attempts[1]}ms`);
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /attempt 1\/3\), retrying in 30ms/);
+});
+
+test("the last failed attempt rejects with the attempt count", async () => {
+  const queue = createOutboundQueue({ ...noSpacing, maxAttempts: 3, retryBaseMs: 1 });
+  let calls = 0;
+  const err = await queue.enqueue("chat", async () => { calls++; throw transient(); }).catch(e => e);
+  assert.equal(calls, 3);
+  assert.equal(err.attempts, 3);
+});
+
+test("permanent failures are not retried", async () => {
+  const queue = createOutboundQueue({ ...noSpacing, maxAttempts: 3, retryBaseMs: 1 });
+  let calls = 0;
+  const err = await queue.enqueue("chat", async () => {
+    calls++;
+    throw new Error("osascript Not authorized to send Apple events to Messages. (-1743)");
+  }).catch(e => e);
+  assert.equal(calls, 1);
+  assert.equal(err.attempts, 1);
+});
+
+test("configure changes the options for later sends and ignores undefined", async () => {
+  const queue = createOutboundQueue({ ...noSpacing, maxAttempts: 3, retryBaseMs: 1 });
+  queue.configure({ maxAttempts: 1, retryBaseMs: undefined });
+  let calls = 0;
+  await queue.enqueue("chat", async () => { calls++; throw transient(); }).catch(() => {});
+  assert.equal(calls, 1);
+});
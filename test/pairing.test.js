@@ -0,0 +1,45 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { createPairingStore, parsePairingCommand } from "../src/pairing.js";
+import { createHandleResolver } from "../src/handles.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "imessage-pairing-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("parsePairingCommand", () => {
+  assert.deepEqual(parsePairingCommand(" /Approve 012345 "), { action: "approve", code: "012345" });
+  assert.deepEqual(parsePairingCommand("/deny 999999"), { action: "deny", code: "999999" });
+  assert.equal(parsePairingCommand("/approve 1234"), null);
+  assert.equal(parsePairingCommand("approve 123456"), null);
+});
+
+test("a pending entry keeps the sender's handle when it is keyed by an identity", () => {
+  const handles = createHandleResolver({ identities: { carol: ["+15559990000"] } });
+  const file = path.join(dir, "identity.json");
+  const pairing = createPairingStore(file, { normalize: handles.identityKey });
+
+  const { code, isNew } = pairing.request("+15559990000", "Carol");
+  assert.equal(isNew, true);
+  assert.deepEqual(pairing.request("+15559990000"), { code, isNew: false });
+
+  const entry = pairing.resolve(code, "approve", "+15551234567");
+  assert.equal(entry.handle, "carol");
+  assert.equal(entry.sender, "+15559990000");
+  assert.equal(pairing.isApproved("+15559990000"), true);
+  assert.equal(createPairingStore(file, { normalize: handles.identityKey }).isApproved("+15559990000"), true);
+});
+
+test("codes resolve once and expire", () => {
+  const pairing = createPairingStore(path.join(dir, "expiry.json"), { codeTtlMs: -1 });
+  const { code } = pairing.request("+15559990000");
+  assert.equal(pairing.resolve(code, "approve", "+15551234567"), null);
+
+  const live = createPairingStore(path.join(dir, "once.json"));
+  const second = live.request("+15559990000").code;
+  assert.ok(live.resolve(second, "deny", "+15551234567"));
+  assert.equal(live.resolve(second, "approve", "+15551234567"), null);
+  assert.equal(live.isDenied("+15559990000"), true);
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseReaction, parseAssociatedGuid, isReactionType, formatReaction } from "../src/reactions.js";
+
+const row = (type, extra = {}) => ({ associated_message_type: type, associated_message_guid: "p:1/ABC-123", ...extra });
+
+test("parseAssociatedGuid", () => {
+  assert.deepEqual(parseAssociatedGuid("p:2/ABC-123"), { guid: "ABC-123", part: 2 });
+  assert.deepEqual(parseAssociatedGuid("bp:ABC-123"), { guid: "ABC-123", part: 0 });
+  assert.deepEqual(parseAssociatedGuid("ABC-123"), { guid: "ABC-123", part: 0 });
+  assert.deepEqual(parseAssociatedGuid(null), { guid: null, part: 0 });
+});
+
+test("isReactionType", () => {
+  for (const type of [1000, 2000, 2005, 2007, 3000, 3007]) assert.equal(isReactionType(type), true, String(type));
+  for (const type of [0, 999, 2008, 2999, 3008, null]) assert.equal(isReactionType(type), false, String(type));
+});
+
+test("classic tapbacks and their removal", () => {
+  assert.deepEqual(parseReaction(row(2000)), { action: "add", kind: "love", emoji: "❤️", targetGuid: "ABC-123", targetPart: 1 });
+  assert.deepEqual(parseReaction(row(2003)), { action: "add", kind: "laugh", emoji: "😂", targetGuid: "ABC-123", targetPart: 1 });
+  assert.deepEqual(parseReaction(row(3001)), { action: "remove", kind: "like", emoji: "👍", targetGuid: "ABC-123", targetPart: 1 });
+});
+
+test("custom emoji and stickers", () => {
+  assert.equal(parseReaction(row(2006, { associated_message_emoji: "🍕" })).emoji, "🍕");
+  assert.equal(parseReaction(row(2006)).emoji, null);
+  assert.deepEqual(parseReaction(row(2007)), { action: "add", kind: "sticker", emoji: null, targetGuid: "ABC-123", targetPart: 1 });
+  assert.deepEqual(parseReaction(row(1000, { associated_message_guid: "bp:XYZ" })), { action: "add", kind: "sticker", emoji: null, targetGuid: "XYZ", targetPart: 0 });
+});
+
+test("rows that aren't reactions", () => {
+  assert.equal(parseReaction(row(0)), null);
+  assert.equal(parseReaction(row(2000, { associated_message_guid: null })), null);
+});
+
+test("formatReaction", () => {
+  assert.equal(formatReaction(parseReaction(row(2000)), "see you at 6"), '❤️ reacted to: "see you at 6"');
+  assert.equal(formatReaction(parseReaction(row(3004)), null), 'Removed ‼️ reaction from: "message"');
+  assert.equal(formatReaction(parseReaction(row(1000)), "pic"), 'Stuck a sticker on: "pic"');
+  assert.equal(formatReaction(parseReaction(row(3007)), "pic"), 'Removed a sticker reaction from: "pic"');
+  assert.equal(formatReaction(parseReaction(row(2006)), "hi"), 'Reacted to: "hi"');
+  assert.equal(formatReaction(parseReaction(row(3006)), "hi"), 'Removed an emoji reaction from: "hi"');
+});
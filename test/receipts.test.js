@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+import { createReceiptTracker } from "../src/receipts.js";
+
+function setup(options = {}) {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE message (ROWID INTEGER PRIMARY KEY, guid TEXT, text TEXT, attributedBody BLOB, handle_id INTEGER,
+      is_from_me INTEGER, cache_has_attachments INTEGER DEFAULT 0, error INTEGER DEFAULT 0, is_sent INTEGER DEFAULT 0,
+      is_delivered INTEGER DEFAULT 0, is_read INTEGER DEFAULT 0, date_read INTEGER DEFAULT 0);
+    CREATE TABLE handle (ROWID INTEGER PRIMARY KEY, id TEXT);
+    CREATE TABLE chat (ROWID INTEGER PRIMARY KEY, guid TEXT, chat_identifier TEXT);
+    CREATE TABLE chat_message_join (chat_id INTEGER, message_id INTEGER);
+    INSERT INTO handle VALUES (1, '+15551234567');
+  `);
+  const events = [];
+  const tracker = createReceiptTracker(db, { onEvent: (e) => events.push(e.status), ...options });
+  const target = { handle: "+15551234567" };
+  tracker.track({ target, text: "hello", afterRowId: tracker.mark() });
+  db.prepare("INSERT INTO message (ROWID, guid, text, handle_id, is_from_me, is_sent) VALUES (10, 'g10', 'hello', 1, 1, 1)").run();
+  const update = (sql) => db.prepare(`UPDATE message SET ${sql} WHERE ROWID = 10`).run();
+  return { tracker, events, update };
+}
+
+test("stops watching once delivered when read isn't wanted", () => {
+  const { tracker, events, update } = setup();
+  tracker.check();
+  assert.deepEqual(events, ["sent"]);
+  assert.equal(tracker.size(), 1);
+  update("is_delivered = 1");
+  tracker.check();
+  assert.deepEqual(events, ["sent", "delivered"]);
+  assert.equal(tracker.size(), 0);
+});
+
+test("keeps watching for read when asked to", () => {
+  const { tracker, events, update } = setup({ watchRead: true });
+  update("is_delivered = 1");
+  tracker.check();
+  assert.equal(tracker.size(), 1);
+  update("is_read = 1");
+  tracker.check();
+  assert.deepEqual(events, ["sent", "delivered", "read"]);
+  assert.equal(tracker.size(), 0);
+});
+
+test("gives up after the watch window", () => {
+  const { tracker, events } = setup({ watchRead: true, watchTimeoutMs: 1000 });
+  tracker.check();
+  assert.equal(tracker.size(), 1);
+  tracker.check(Date.now() + 1001);
+  assert.deepEqual(events, ["sent"]);
+  assert.equal(tracker.size(), 0);
+});
+
+test("failures are reported and end the watch", () => {
+  const { tracker, events, update } = setup();
+  update("error = 22");
+  tracker.check();
+  assert.deepEqual(events, ["failed"]);
+  assert.equal(tracker.size(), 0);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveRoute, routeMatches } from "../src/routing.js";
+import { createHandleResolver } from "../src/handles.js";
+
+const dm = { sender: "+15551234567", chatId: "+15551234567", isGroup: false, contactName: "Alice Smith" };
+const group = { sender: "+15559990000", chatId: "chat111", isGroup: true, groupName: "Family" };
+
+test("each DM sender gets a session, each group one per chat", () => {
+  assert.deepEqual(resolveRoute(dm), { agentId: "main", sessionKey: "agent:main:imessage-legacy:dm:+15551234567", rule: null });
+  assert.equal(resolveRoute(group).sessionKey, "agent:main:imessage-legacy:group:chat111");
+});
+
+test("dmScope main shares one session for all DMs but not groups", () => {
+  assert.equal(resolveRoute(dm, { dmScope: "main" }).sessionKey, "agent:main:main");
+  assert.equal(resolveRoute(group, { dmScope: "main" }).sessionKey, "agent:main:imessage-legacy:group:chat111");
+});
+
+test("DM sessions are keyed by identity, so one person's handles share a session", () => {
+  const handles = createHandleResolver({ identities: { alice: ["+15551234567", "alice@icloud.com"] } });
+  const byEmail = resolveRoute({ ...dm, sender: "Alice@iCloud.com" }, { normalize: handles.identityKey });
+  assert.equal(byEmail.sessionKey, "agent:main:imessage-legacy:dm:alice");
+  assert.equal(resolveRoute(dm, { normalize: handles.identityKey }).sessionKey, byEmail.sessionKey);
+});
+
+test("the first matching rule wins and picks the agent and session", () => {
+  const routes = [
+    { group: "family", agent: "home" },
+    { sender: "(555) 123-4567", agent: "work", session: "shared" },
+    { contact: "alice smith", agent: "personal" }
+  ];
+  const handles = createHandleResolver();
+  const options = { routes, normalize: handles.normalize };
+  const sender = resolveRoute(dm, options);
+  assert.equal(sender.agentId, "work");
+  assert.equal(sender.sessionKey, "agent:work:shared");
+  assert.equal(sender.rule, routes[1]);
+  assert.equal(resolveRoute(group, options).sessionKey, "agent:home:imessage-legacy:group:chat111");
+  assert.equal(resolveRoute({ ...dm, sender: "+15557770000" }, options).agentId, "personal");
+});
+
+test("a rule's own dmScope overrides the default", () => {
+  const routes = [{ sender: "+15551234567", agent: "work", dmScope: "main" }];
+  assert.equal(resolveRoute(dm, { routes }).sessionKey, "agent:work:main");
+});
+
+test("routeMatches needs every field it sets to match", () => {
+  assert.equal(routeMatches({}, dm), false);
+  assert.equal(routeMatches({ agent: "x" }, dm), false);
+  assert.equal(routeMatches({ sender: ["+15550000000", "+15551234567"] }, dm), true);
+  assert.equal(routeMatches({ sender: "+15551234567", contact: "Bob" }, dm), false);
+  assert.equal(routeMatches({ group: "chat111" }, group), true);
+  assert.equal(routeMatches({ group: " FAMILY " }, group), true);
+  assert.equal(routeMatches({ group: "chat111" }, dm), false);
+  assert.equal(routeMatches({ contact: "Alice Smith" }, { ...dm, contactName: null }), false);
+  assert.equal(routeMatches({ sender: "+15551234567" }, { ...dm, sender: null }), false);
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createSchema, inspectSchema, buildMessageSelect, buildReplyContextQuery, buildAttachmentQuery, buildReceiptStatusQuery
+} from "../src/schema.js";
+import { MACOS_10_15, MACOS_11, MACOS_13, MACOS_14, createLayoutDb } from "./fixtures/schemas.js";
+
+/**
+ * An in-memory chat.db with exactly these columns, holding one inbound message with an attachment
+ */
+function fixtureDb(layout) {
+  const db = createLayoutDb(layout);
+  db.exec(`
+    INSERT INTO handle (ROWID, id) VALUES (1, '+15551234567');
+    INSERT INTO chat (ROWID, guid, chat_identifier, style, display_name) VALUES (1, 'iMessage;-;+15551234567', '+15551234567', 45, NULL);
+    INSERT INTO message (ROWID, guid, text, handle_id, is_from_me, is_delivered, cache_has_attachments) VALUES (1, 'g1', 'hi', 1, 0, 1, 1);
+    INSERT INTO chat_message_join (chat_id, message_id) VALUES (1, 1);
+    INSERT INTO attachment (ROWID, filename, mime_type, transfer_name) VALUES (1, '~/Library/Messages/Attachments/a.jpg', 'image/jpeg', 'a.jpg');
+    INSERT INTO message_attachment_join (message_id, attachment_id) VALUES (1, 1);
+  `);
+  return db;
+}
+
+const versions = { "macOS 10.15": MACOS_10_15, "macOS 11": MACOS_11, "macOS 13": MACOS_13, "macOS 14": MACOS_14 };
+
+for (const [name, layout] of Object.entries(versions)) {
+  test(`${name}: queries run against its layout`, () => {
+    const db = fixtureDb(layout);
+    const schema = createSchema(layout);
+    assert.deepEqual(schema.missing, []);
+    assert.deepEqual(inspectSchema(db).features, schema.features);
+
+    const row = db.prepare(`${buildMessageSelect(schema)} WHERE m.ROWID > ? GROUP BY m.ROWID ORDER BY m.ROWID`).get(0);
+    assert.equal(row.text, "hi");
+    assert.equal(row.sender, "+15551234567");
+    assert.equal(row.chat_identifier, "+15551234567");
+    assert.equal(row.date_edited, null);
+    assert.equal(row.associated_message_emoji, null);
+
+    assert.equal(db.prepare(buildReplyContextQuery(schema)).get("g1").sender, "+15551234567");
+    assert.deepEqual(db.prepare(buildAttachmentQuery(schema)).all(1).map(a => a.transfer_name), ["a.jpg"]);
+    assert.equal(db.prepare(buildReceiptStatusQuery(schema)).get(1).is_delivered, 1);
+  });
+}
+
+test("features by release", () => {
+  const features = (layout) => createSchema(layout).features;
+  assert.equal(features(MACOS_11).replies, true);
+  assert.equal(features(MACOS_11).edits, false);
+  assert.equal(features(MACOS_11).unsend, false);
+  assert.equal(features(MACOS_13).edits, true);
+  assert.equal(features(MACOS_13).unsend, true);
+  for (const layout of [MACOS_11, MACOS_13, MACOS_14]) {
+    assert.equal(features(layout).emojiReactions, false);
+    assert.equal(features(layout).groupEvents, true);
+    assert.equal(features(layout).richMessages, true);
+  }
+});
+
+test("without reply columns, messages still read and carry no reply", () => {
+  const db = fixtureDb(MACOS_10_15);
+  const schema = createSchema(MACOS_10_15);
+  assert.equal(schema.features.replies, false);
+  assert.equal(schema.col("m", "message", "reply_to_guid"), "NULL AS reply_to_guid");
+  db.exec(`
+    INSERT INTO message (ROWID, guid, text, handle_id, is_from_me) VALUES (2, 'g2', 'answer', 1, 0);
+    INSERT INTO chat_message_join (chat_id, message_id) VALUES (1, 2);
+  `);
+
+  const rows = db.prepare(`${buildMessageSelect(schema)} WHERE m.ROWID > ? GROUP BY m.ROWID ORDER BY m.ROWID`).all(0);
+  assert.deepEqual(rows.map(r => r.text), ["hi", "answer"]);
+  for (const row of rows) {
+    assert.equal(row.reply_to_guid, null);
+    assert.equal(row.thread_originator_guid, null);
+  }
+  assert.equal(db.prepare(buildReplyContextQuery(schema)).get("g1").text, "hi");
+});
+
+test("missing optional columns read as NULL", () => {
+  const schema = createSchema({ ...MACOS_14, message: MACOS_11.message.filter(c => c !== "attributedBody") });
+  assert.equal(schema.col("m", "message", "attributedBody"), "NULL AS attributedBody");
+  assert.equal(schema.col("m", "message", "date_edited"), "NULL AS date_edited");
+  assert.equal(schema.col("m", "message", "text"), "m.text");
+  assert.equal(schema.features.attributedBody, false);
+});
+
+test("required columns are reported when missing", () => {
+  const schema = createSchema({ message: ["ROWID", "guid", "text"], handle: ["ROWID", "id"] });
+  assert.deepEqual(schema.missing, [
+    "message.handle_id", "message.is_from_me",
+    "chat.ROWID", "chat.guid", "chat.chat_identifier",
+    "chat_message_join.chat_id", "chat_message_join.message_id"
+  ]);
+});
+
+test("a chat.db without attachment tables has no attachment query", () => {
+  const { attachment, message_attachment_join, ...rest } = MACOS_11;
+  assert.equal(buildAttachmentQuery(createSchema(rest)), null);
+});
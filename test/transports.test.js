@@ -0,0 +1,144 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { PassThrough } from "stream";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { createAppleScriptTransport, createTransport } from "../src/transports.js";
+import { osascriptArgs, buildSendTextScript } from "../src/applescript.js";
+import { createScriptWorker } from "../src/script-worker.js";
+import { createOutboundQueue, isTransientSendError } from "../src/outbound-queue.js";
+
+/**
+ * spawn() for a worker that says it's ready, reads commands and never answers
+ */
+function silentWorkerSpawn(written) {
+  return () => {
+    const proc = new EventEmitter();
+    proc.stdout = new PassThrough();
+    proc.stderr = new PassThrough();
+    proc.stdin = new PassThrough();
+    proc.stdin.on("data", (chunk) => written.push(String(chunk)));
+    proc.kill = () => setImmediate(() => proc.emit("exit", null, "SIGTERM"));
+    setImmediate(() => proc.stdout.write('{"ready":true}\n'));
+    return proc;
+  };
+}
+
+const failingRun = (fields) => async () => {
+  throw Object.assign(new Error("Command failed: osascript -e on run argv text secret message +15551234567"), fields);
+};
+
+test("osascript runs with a timeout", async () => {
+  const calls = [];
+  const transport = createAppleScriptTransport({ run: async (file, args, options) => { calls.push({ file, options }); }, timeoutMs: 1234 });
+  assert.deepEqual(await transport.sendText({ handle: "+15551234567" }, "hi"), { via: "osascript" });
+  assert.deepEqual(calls, [{ file: "osascript", options: { timeout: 1234 } }]);
+});
+
+test("failures report stderr and the exit code, not the argv", async () => {
+  const transport = createAppleScriptTransport({
+    run: failingRun({ code: 1, stderr: "execution error: Can't get buddy id \"x\". (-1728)\n" })
+  });
+  const err = await transport.sendText({ handle: "+15551234567" }, "secret message").catch(e => e);
+  assert.equal(err.message, "osascript execution error: Can't get buddy id \"x\". (-1728)");
+  assert.equal(err.code, 1);
+  assert.doesNotMatch(err.message, /secret/);
+  assert.equal(isTransientSendError(err), false);
+});
+
+test("a timed-out osascript is reported and not retried", async () => {
+  const transport = createAppleScriptTransport({ run: failingRun({ code: null, killed: true, signal: "SIGTERM", stderr: "" }), timeoutMs: 500 });
+  const err = await transport.sendText({ handle: "+15551234567" }, "secret message").catch(e => e);
+  assert.equal(err.message, "osascript timed out after 500ms");
+  assert.equal(err.timedOut, true);
+  assert.equal(isTransientSendError(err), false);
+});
+
+test("isTransientSendError", () => {
+  const error = (message, fields = {}) => Object.assign(new Error(message), fields);
+  assert.equal(isTransientSendError(error("osascript execution error: AppleEvent timed out. (-1712)")), true);
+  assert.equal(isTransientSendError(error("osascript failed (1)")), true);
+  assert.equal(isTransientSendError(error("osascript Not authorized to send Apple events to Messages. (-1743)")), false);
+  assert.equal(isTransientSendError(error("spawn osascript ENOENT", { code: "ENOENT" })), false);
+  assert.equal(isTransientSendError(error("must be a string without null bytes", { code: "ERR_INVALID_ARG_VALUE" })), false);
+});
+
+test("a send the worker took and then timed out on is not sent again", async () => {
+  const written = [];
+  const worker = createScriptWorker({ spawn: silentWorkerSpawn(written), timeoutMs: 50 });
+  const osascript = [];
+  const transport = createAppleScriptTransport({ worker, run: async (...args) => { osascript.push(args); } });
+  const queue = createOutboundQueue({ maxAttempts: 3, retryBaseMs: 1, minIntervalMs: 0, perRecipientIntervalMs: 0 });
+
+  // Let the worker come up first, so the command is written to it
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const err = await queue.enqueue("+15551234567", () => transport.sendText({ handle: "+15551234567" }, "hello")).catch(e => e);
+  assert.equal(err.workerFailure, true);
+  assert.equal(err.notStarted, false);
+  assert.equal(err.attempts, 1);
+  assert.equal(written.length, 1);
+  assert.equal(osascript.length, 0);
+  worker.close();
+});
+
+test("worker failures are only retried when the command never reached it", () => {
+  const workerError = (fields) => Object.assign(new Error("Script worker exited (SIGTERM)"), { workerFailure: true, ...fields });
+  assert.equal(isTransientSendError(workerError({ notStarted: false })), false);
+  assert.equal(isTransientSendError(workerError({ notStarted: true })), true);
+});
+
+test("the record transport writes one JSON line per send and sends nothing", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "imessage-record-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "nested", "sends.jsonl");
+  const transport = createTransport("record", { file });
+  assert.equal(transport.name, "record");
+  assert.equal(transport.tracksReceipts, false);
+
+  assert.equal(await transport.sendText({ handle: "+15551234567" }, "hi\nthere"), undefined);
+  await transport.sendFile({ chatGuid: "iMessage;+;chat123" }, "/tmp/a.png");
+
+  const lines = fs.readFileSync(file, "utf8").trim().split("\n").map(l => JSON.parse(l));
+  assert.equal(lines.length, 2);
+  const { at, ...first } = lines[0];
+  assert.ok(!Number.isNaN(Date.parse(at)));
+  assert.deepEqual(first, {
+    type: "text",
+    target: { handle: "+15551234567" },
+    text: "hi\nthere",
+    argv: ["osascript", ...osascriptArgs(buildSendTextScript({ handle: "+15551234567" }, "hi\nthere"))]
+  });
+  assert.equal(lines[1].type, "file");
+  assert.equal(lines[1].filePath, "/tmp/a.png");
+  assert.deepEqual(lines[1].target, { chatGuid: "iMessage;+;chat123" });
+  assert.deepEqual(lines[1].argv.slice(-3), ["file", "/tmp/a.png", "iMessage;+;chat123"]);
+});
+
+test("dry-run only logs and never runs osascript", async (t) => {
+  // An osascript on PATH that leaves a marker, so a real run would show
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "imessage-dry-run-"));
+  const marker = path.join(dir, "ran");
+  fs.writeFileSync(path.join(dir, "osascript"), `#!/bin/sh\ntouch "${marker}"\n`, { mode: 0o755 });
+  const originalPath = process.env.PATH;
+  process.env.PATH = `${dir}${path.delimiter}${originalPath}`;
+  t.after(() => {
+    process.env.PATH = originalPath;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const logged = [];
+  const transport = createTransport("dry-run", { log: { info: (line) => logged.push(line) } });
+  await transport.sendText({ handle: "+15551234567" }, "hello");
+  await transport.sendFile({ chatGuid: "iMessage;+;chat123" }, "/tmp/a.png");
+  assert.deepEqual(logged, [
+    '[iMessage][dry-run] Would send to +15551234567: "hello"',
+    "[iMessage][dry-run] Would send file to iMessage;+;chat123: /tmp/a.png"
+  ]);
+  assert.equal(fs.existsSync(marker), false);
+
+  // The same fake is picked up by the AppleScript transport
+  await createTransport("applescript").sendText({ handle: "+15551234567" }, "hello");
+  assert.equal(fs.existsSync(marker), true);
+});
@@ -0,0 +1,70 @@
+/**
+ * attributedBody decoding against archived blobs
+ *
+ * test/fixtures/attributed-body/*.hex are typedstream blobs in the layout
+ * Messages writes: `plain` is a real "Hello" row, the rest add mention, link
+ * and inline attachment attribute runs, and `truncated` is the link blob cut
+ * off inside its second attribute dictionary.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import { decodeAttributedBody, visibleText, ATTACHMENT_CHAR } from "../src/typedstream.js";
+
+const fixture = (name) => Buffer.from(
+  fs.readFileSync(new URL(`./fixtures/attributed-body/${name}.hex`, import.meta.url), "utf8").replace(/\s+/g, ""),
+  "hex"
+);
+
+test("plain text", () => {
+  const decoded = decodeAttributedBody(fixture("plain"));
+  assert.equal(decoded.text, "Hello");
+  assert.equal(decoded.partial, false);
+  assert.deepEqual(decoded.runs.map(r => [r.start, r.length]), [[0, 5]]);
+  assert.deepEqual(decoded.runs[0].attributes, { __kIMMessagePartAttributeName: 0 });
+  assert.deepEqual([decoded.mentions, decoded.links, decoded.attachments], [[], [], []]);
+});
+
+test("mention, with offsets in UTF-16 units", () => {
+  const decoded = decodeAttributedBody(fixture("mention"));
+  assert.equal(decoded.text, "Hey Alice, dinner at 7? 🍝");
+  assert.deepEqual(decoded.mentions, [{ handle: "+15551234567", text: "Alice", start: 4, length: 5 }]);
+  // The third run reuses the first run's dictionary
+  assert.equal(decoded.runs[2].attributes, decoded.runs[0].attributes);
+  assert.equal(decoded.runs.at(-1).start + decoded.runs.at(-1).length, decoded.text.length);
+});
+
+test("link", () => {
+  const decoded = decodeAttributedBody(fixture("link"));
+  assert.equal(decoded.text, "Look at https://example.com/a?b=1");
+  assert.deepEqual(decoded.links, [{ url: "https://example.com/a?b=1", text: "https://example.com/a?b=1", start: 8, length: 25 }]);
+  assert.equal(decoded.partial, false);
+});
+
+test("inline attachment", () => {
+  const decoded = decodeAttributedBody(fixture("attachment"));
+  assert.equal(decoded.text, `${ATTACHMENT_CHAR}nice photo`);
+  assert.deepEqual(decoded.attachments, [{
+    guid: "at_0_8E2B4A6C-1D3F-4E5A-9B7C-0123456789AB",
+    name: "IMG_0042.HEIC",
+    part: 0,
+    start: 0
+  }]);
+  assert.equal(visibleText(decoded.text), "nice photo");
+});
+
+test("truncated blob keeps the text and marks the result partial", () => {
+  const decoded = decodeAttributedBody(fixture("truncated"));
+  assert.equal(decoded.text, "Look at https://example.com/a?b=1");
+  assert.equal(decoded.partial, true);
+  assert.deepEqual(decoded.links, []);
+});
+
+test("empty and garbage input", () => {
+  assert.equal(decodeAttributedBody(null), null);
+  assert.equal(decodeAttributedBody(Buffer.alloc(0)), null);
+  assert.equal(decodeAttributedBody(Buffer.from("not a typedstream")), null);
+  // Cut inside the string itself: nothing recoverable
+  assert.equal(decodeAttributedBody(fixture("plain").subarray(0, 60)), null);
+});